@@ -6,10 +6,40 @@ let allPhotos = [];
 let currentPhotoIndex = 0; 
 let selectedPhotoIds = new Set(); 
 let isBulkMove = false; // 追蹤目前是批量移動還是單張移動
+let currentSearchQuery = null; // album.html?search=... 時為全圖庫搜尋模式
+let currentTag = null; // album.html?tag=... 時列出該標籤的所有留影
+let isFavoritesView = false; // album.html?view=favorites 時列出所有相簿的最愛
+let isTrashView = false; // album.html?view=trash 時顯示垃圾桶 (只能還原或永久刪除)
+let isGuestReviewView = false; // album.html?view=guest-review 時列出待審核的訪客上傳
+let currentShareToken = null; // share.html?token=... 公開分享頁 (唯讀，不需登入)
+let currentShareInfo = null;
 
 function getUrlParams() {
     const params = new URLSearchParams(window.location.search);
-    return { id: params.get('id'), name: decodeURIComponent(params.get('name') || '相簿') };
+    return { id: params.get('id'), name: decodeURIComponent(params.get('name') || '相簿'), search: params.get('search'), tag: params.get('tag'), favorites: params.get('view') === 'favorites', trash: params.get('view') === 'trash', guestReview: params.get('view') === 'guest-review', share: params.get('token') };
+}
+
+// 搜尋全部留影 (同一個頁面切換為搜尋模式)
+function submitSearch(event) {
+    event.preventDefault();
+    const q = document.getElementById('searchInput').value.trim();
+    if (!q) return;
+    window.location.href = `album.html?search=${encodeURIComponent(q)}`;
+}
+
+// 插入 innerHTML 的使用者資料 (檔名、訪客名稱等) 一律先跳脫
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 做為 onclick="fn(...)" 的字串參數：先轉成 JS 字串常值再做 HTML 跳脫
+function jsArg(value) {
+    return escapeHtml(JSON.stringify(String(value == null ? '' : value)));
 }
 
 function showMessage(type, content) {
@@ -37,104 +67,301 @@ function isVideo(filename) {
     return filename.match(/\.(mp4|mov|webm|ogg)$/i);
 }
 
-async function loadAlbumContent() {
-    const { id, name } = getUrlParams();
-    if (!id) return;
-    
-    document.getElementById('currentAlbumName').textContent = name;
-    document.title = name;
-    currentAlbumId = id;
-    
+// 組出圖片的 srcset：各尺寸縮圖 + 原始主檔 (舊照片沒有縮圖時回傳空字串)
+function buildSrcset(photo) {
+    const sources = (photo.renditions || []).map(r => `${r.url} ${r.width}w`);
+    if (sources.length === 0) return '';
+    if (photo.width) sources.push(`${photo.githubUrl} ${photo.width}w`);
+    return sources.join(', ');
+}
+
+// 影片長度格式化為 m:ss 或 h:mm:ss
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// 網格預設使用最小的縮圖，沒有縮圖時退回主檔
+function getThumbnailUrl(photo) {
+    const small = (photo.renditions || []).find(r => r.size === 'small');
+    return small ? small.url : photo.githubUrl;
+}
+
+// 排序模式：對應 album.html 的 #sortSelect，groupBy 代表依拍攝日期加上分組標題
+const SORT_MODES = {
+    'uploaded-desc': { sort: 'uploaded', order: 'desc' },
+    'taken-day': { sort: 'taken', order: 'desc', groupBy: 'day' },
+    'taken-month': { sort: 'taken', order: 'desc', groupBy: 'month' },
+    'name-asc': { sort: 'name', order: 'asc' }
+};
+let currentSortMode = SORT_MODES[localStorage.getItem('album_sort_mode')] ? localStorage.getItem('album_sort_mode') : 'uploaded-desc';
+
+// 無限捲動狀態
+const PAGE_SIZE = 60;
+let nextCursor = null; // null 代表已載入最後一頁
+let isLoadingPage = false;
+let lastGroupKey = null; // 上一張照片的分組，跨頁時延續標題
+let pageObserver = null;
+let loadGeneration = 0; // 重新載入時遞增，丟棄舊排序/篩選的延遲回應
+
+function changeSortMode(mode) {
+    currentSortMode = mode;
+    localStorage.setItem('album_sort_mode', mode);
+    loadAlbumContent();
+}
+
+// 時間軸標題：2024-08-01 → 2024 年 8 月 1 日，2024-08 → 2024 年 8 月
+function formatGroupLabel(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return d ? `${y} 年 ${m} 月 ${d} 日` : `${y} 年 ${m} 月`;
+}
+
+// 依拍攝日期 (沒有 EXIF 時為上傳日期) 算出分組鍵
+function getGroupKey(photo, groupBy) {
+    const date = new Date(photo.capturedAt || photo.uploadedAt);
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return groupBy === 'month' ? `${y}-${m}` : `${y}-${m}-${d}`;
+}
+
+// 組出查詢參數：排序 + 篩選列 (#filterType、#filterFrom、#filterTo、#filterFavorite) + 游標
+// 垃圾桶固定依刪除時間排序
+function buildPhotoQuery(cursor) {
+    const mode = isTrashView ? { sort: 'deleted', order: 'desc' } : SORT_MODES[currentSortMode];
+    const params = new URLSearchParams({ sort: mode.sort, order: mode.order, limit: PAGE_SIZE });
+
+    const type = document.getElementById('filterType').value;
+    const from = document.getElementById('filterFrom').value;
+    const to = document.getElementById('filterTo').value;
+    if (type) params.set('type', type);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    // 分享頁沒有最愛與評分篩選
+    const favorite = document.getElementById('filterFavorite');
+    const rating = document.getElementById('filterRating');
+    if (favorite && favorite.checked) params.set('favorite', 'true');
+    if (rating && rating.value) params.set('minRating', rating.value);
+    if (cursor) params.set('cursor', cursor);
+
+    return params;
+}
+
+// 載入下一頁並附加到網格尾端；回傳是否成功
+async function loadNextPage() {
+    if (isLoadingPage || (nextCursor === null && allPhotos.length > 0)) return true;
+    isLoadingPage = true;
+    const generation = loadGeneration;
+
     const grid = document.getElementById('photoGrid');
-    // 注意：這裡不再獲取 noPhotosMessage，因為它會被 grid.innerHTML = ''; 銷毀
-    
-    // 步驟 1: 設置載入狀態
-    grid.innerHTML = '<p>載入中...</p>';
+    const sentinel = document.getElementById('pageSentinel');
 
     try {
-        const res = await fetch(`${BACKEND_URL}/api/albums/${id}/photos`);
-        
+        let listUrl = `${BACKEND_URL}/api/albums/${currentAlbumId}/photos?`;
+        if (currentSearchQuery !== null) {
+            listUrl = `${BACKEND_URL}/api/search?q=${encodeURIComponent(currentSearchQuery)}&`;
+        } else if (currentTag !== null) {
+            listUrl = `${BACKEND_URL}/api/tags/${encodeURIComponent(currentTag)}/photos?`;
+        } else if (isFavoritesView) {
+            listUrl = `${BACKEND_URL}/api/favorites?`;
+        } else if (isTrashView) {
+            listUrl = `${BACKEND_URL}/api/trash?`;
+        } else if (isGuestReviewView) {
+            listUrl = `${BACKEND_URL}/api/guest-uploads?`;
+        } else if (currentShareToken !== null) {
+            listUrl = `${BACKEND_URL}/api/public/shares/${encodeURIComponent(currentShareToken)}/photos?`;
+        }
+        const res = await fetch(`${listUrl}${buildPhotoQuery(nextCursor)}`);
         if (!res.ok) {
             throw new Error(`API 載入失敗 (狀態碼: ${res.status})`);
         }
-        
-        const photos = await res.json();
-        allPhotos = photos;
-        
-        // 步驟 2: 成功取得資料，清除載入中狀態 (同時銷毀原有的 #noPhotosMessage 元素)
-        grid.innerHTML = ''; 
-        
-        selectedPhotoIds.clear();
-        document.getElementById('bulkActions').style.display = 'none';
 
-       if (photos.length === 0) {
-            grid.innerHTML = '';
-            grid.classList.add('empty-grid'); // 加入置中專用的樣式
-    
-            const msg = document.createElement('p');
-            msg.id = 'noPhotosMessage';
-            msg.textContent = '此相簿目前沒有留影';
-    
-            grid.appendChild(msg);  
-            return;
-        } else {
-            grid.classList.remove('empty-grid'); // 有照片時移除置中樣式
-        }
+        const page = await res.json();
+        if (generation !== loadGeneration) return true;
+        const groupBy = isTrashView ? null : SORT_MODES[currentSortMode].groupBy;
 
-        // 步驟 3: 渲染照片/影片網格
-        photos.forEach((photo, index) => {
-            const card = document.createElement('div');
-            card.className = 'photo-card';
-            card.setAttribute('data-photo-id', photo._id); 
-
-            // 判斷顯示圖片或影片
-            let mediaHtml = '';
-            if (isVideo(photo.originalFileName)) {
-                // 影片縮圖處理
-                mediaHtml = `
-                    <div class="video-indicator">▶</div>
-                    <video src="${photo.githubUrl}#t=0.1" preload="metadata" poster="data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw=="></video>
-                `;
-            } else {
-                mediaHtml = `<img src="${photo.githubUrl}" alt="photo">`;
+        page.photos.forEach(photo => {
+            if (groupBy) {
+                const key = getGroupKey(photo, groupBy);
+                if (key !== lastGroupKey) {
+                    const header = document.createElement('h4');
+                    header.className = 'timeline-header';
+                    header.textContent = formatGroupLabel(key);
+                    grid.insertBefore(header, sentinel);
+                    lastGroupKey = key;
+                }
             }
 
-            // ⭐ START: 替換區塊 ⭐
-            card.innerHTML = `
-                <input type="checkbox" class="photo-select-checkbox" onclick="handleSelectionClick(event, '${photo._id}', '${photo.originalFileName}')">
-                <div class="media-wrapper" onclick="openLightbox(${index}); event.stopPropagation();">
-                    ${mediaHtml}
-                </div>
-                <div class="photo-info">
-                    <span class="photo-filename" title="${photo.originalFileName}">${photo.originalFileName}</span>
-                </div>
-                <div class="photo-actions">
-                    <button onclick="showRenamePhotoModal('${photo._id}', '${photo.originalFileName}'); event.stopPropagation();" class="icon-btn rename" title="重新命名">
-                        <svg viewBox="0 0 24 24"><path d="M14.06,9.02L15,9.94L5.92,19H5V18.08L14.06,9.02M17.66,3C17.41,3 17.15,3.1 16.96,3.29L15.13,5.12L18.88,8.87L20.71,7.04C21.1,6.65 21.1,6 20.71,5.63L18.37,3.29C18.17,3.09 17.92,3 17.66,3M14.06,6.19L3,17.25V21H6.75L17.81,9.94L14.06,6.19Z" /></svg>
-                    </button>
-                    <button onclick="singleDeletePhoto('${photo._id}'); event.stopPropagation();" class="icon-btn delete" title="刪除">
-                        <svg viewBox="0 0 24 24"><path d="M9,3V4H4V6H5V19C5,20.1 5.9,21 7,21H17C18.1,21 19,20.1 19,19V6H20V4H15V3H9M7,6H17V19H7V6M9,8V17H11V8H9M13,8V17H15V8H13Z" /></svg>
-                    </button>
-                    <button onclick="showMovePhotoModal(false, '${photo._id}', '${photo.originalFileName}'); event.stopPropagation();" class="icon-btn move" title="移動">
-                        <svg viewBox="0 0 24 24"><path d="M20,11V13H8L13.5,18.5L12.08,19.92L4.16,12L12.08,4.08L13.5,5.5L8,11H20Z" /></svg>
-                    </button>
-                </div>
-            `;
-            // ⭐ END: 替換區塊 ⭐
-            grid.appendChild(card);
-        });
-        
-        // 照片渲染完成後，給每張卡片隨機旋轉
-        document.querySelectorAll('.photo-card').forEach(card => {
-            const angle = Math.random() * 10 - 5; // -5 到 5 度
-            card.style.setProperty('--r', `${angle}deg`);
+            const card = createPhotoCard(photo, allPhotos.length);
+            // 給每張卡片隨機旋轉 -5 到 5 度
+            card.style.setProperty('--r', `${Math.random() * 10 - 5}deg`);
+            grid.insertBefore(card, sentinel);
+            allPhotos.push(photo);
         });
 
+        nextCursor = page.nextCursor;
+        sentinel.textContent = nextCursor ? '載入更多...' : '';
+        return true;
     } catch (e) {
-        // 步驟 4: 處理錯誤
-        console.error("載入相簿內容時發生錯誤：", e);
+        console.error('載入下一頁失敗：', e);
+        sentinel.textContent = '❌ 載入失敗，捲動以重試';
+        return false;
+    } finally {
+        if (generation === loadGeneration) isLoadingPage = false;
+    }
+}
+
+// 建立單張照片/影片卡片，index 為在 allPhotos 中的位置 (燈箱使用)
+function createPhotoCard(photo, index) {
+    const card = document.createElement('div');
+    card.className = 'photo-card';
+    card.setAttribute('data-photo-id', photo._id); 
+
+    // 判斷顯示圖片或影片
+    let mediaHtml = '';
+    if (isVideo(photo.originalFileName) && photo.posterUrl) {
+        // 伺服器已產生封面：直接顯示靜態圖，不下載影片
+        mediaHtml = `
+            <div class="video-indicator">▶</div>
+            <div class="video-poster">
+                <img src="${photo.posterUrl}" loading="lazy" alt="video">
+                ${photo.duration ? `<div class="video-duration">${formatDuration(photo.duration)}</div>` : ''}
+            </div>
+        `;
+    } else if (isVideo(photo.originalFileName)) {
+        // 舊影片沒有封面，退回讀取影片第一幀
+        mediaHtml = `
+            <div class="video-indicator">▶</div>
+            <video src="${photo.githubUrl}#t=0.1" preload="metadata" poster="data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw=="></video>
+        `;
+    } else {
+        const srcset = buildSrcset(photo);
+        mediaHtml = `<img src="${getThumbnailUrl(photo)}" ${srcset ? `srcset="${srcset}" sizes="(max-width: 768px) 45vw, 180px"` : ''} loading="lazy" alt="photo">`;
+    }
+
+    // 垃圾桶中的留影只能還原或永久刪除，待審核的訪客上傳只能保留或退回
+    const guestReviewActionsHtml = `
+            <button onclick="reviewGuestUploads(['${photo._id}'], 'approve'); event.stopPropagation();" class="icon-btn restore" title="保留">
+                <svg viewBox="0 0 24 24"><path d="M21,7L9,19L3.5,13.5L4.91,12.09L9,16.17L19.59,5.59L21,7Z" /></svg>
+            </button>
+            <button onclick="reviewGuestUploads(['${photo._id}'], 'reject'); event.stopPropagation();" class="icon-btn delete" title="退回 (移到垃圾桶)">
+                <svg viewBox="0 0 24 24"><path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z" /></svg>
+            </button>
+        `;
+    const actionsHtml = isGuestReviewView ? guestReviewActionsHtml : isTrashView ? `
+            <button onclick="restorePhotos(['${photo._id}']); event.stopPropagation();" class="icon-btn restore" title="還原">
+                <svg viewBox="0 0 24 24"><path d="M13,3A9,9 0 0,0 4,12H1L4.89,15.89L4.96,16.03L9,12H6A7,7 0 0,1 13,5A7,7 0 0,1 20,12A7,7 0 0,1 13,19C11.07,19 9.32,18.21 8.06,16.94L6.64,18.36C8.27,20 10.5,21 13,21A9,9 0 0,0 22,12A9,9 0 0,0 13,3Z" /></svg>
+            </button>
+            <button onclick="purgePhotos(['${photo._id}']); event.stopPropagation();" class="icon-btn delete" title="永久刪除">
+                <svg viewBox="0 0 24 24"><path d="M9,3V4H4V6H5V19C5,20.1 5.9,21 7,21H17C18.1,21 19,20.1 19,19V6H20V4H15V3H9M7,6H17V19H7V6M9,8V17H11V8H9M13,8V17H15V8H13Z" /></svg>
+            </button>
+        ` : `
+            <button onclick="showRenamePhotoModal('${photo._id}', ${jsArg(photo.originalFileName)}); event.stopPropagation();" class="icon-btn rename" title="重新命名">
+                <svg viewBox="0 0 24 24"><path d="M14.06,9.02L15,9.94L5.92,19H5V18.08L14.06,9.02M17.66,3C17.41,3 17.15,3.1 16.96,3.29L15.13,5.12L18.88,8.87L20.71,7.04C21.1,6.65 21.1,6 20.71,5.63L18.37,3.29C18.17,3.09 17.92,3 17.66,3M14.06,6.19L3,17.25V21H6.75L17.81,9.94L14.06,6.19Z" /></svg>
+            </button>
+            <button onclick="singleDeletePhoto('${photo._id}'); event.stopPropagation();" class="icon-btn delete" title="刪除">
+                <svg viewBox="0 0 24 24"><path d="M9,3V4H4V6H5V19C5,20.1 5.9,21 7,21H17C18.1,21 19,20.1 19,19V6H20V4H15V3H9M7,6H17V19H7V6M9,8V17H11V8H9M13,8V17H15V8H13Z" /></svg>
+            </button>
+            <button onclick="showMovePhotoModal(false, '${photo._id}', ${jsArg(photo.originalFileName)}); event.stopPropagation();" class="icon-btn move" title="移動">
+                <svg viewBox="0 0 24 24"><path d="M20,11V13H8L13.5,18.5L12.08,19.92L4.16,12L12.08,4.08L13.5,5.5L8,11H20Z" /></svg>
+            </button>
+        `;
+
+    card.innerHTML = `
+        <input type="checkbox" class="photo-select-checkbox" onclick="handleSelectionClick(event, '${photo._id}', ${jsArg(photo.originalFileName)})">
+        <div class="media-wrapper" onclick="openLightbox(${index}); event.stopPropagation();">
+            ${mediaHtml}
+        </div>
+        <div class="photo-info">
+            <span class="photo-filename" title="${escapeHtml(photo.originalFileName)}">${photo.favorite ? '<span class="photo-favorite">♥</span> ' : ''}${escapeHtml(photo.originalFileName)}</span>
+            ${photo.rating ? `<span class="photo-rating">${'★'.repeat(photo.rating)}</span>` : ''}
+            ${photo.albumName ? `<span class="photo-album-name">📁 ${escapeHtml(photo.albumName)}</span>` : ''}
+            ${photo.tags && photo.tags.length > 0 ? `<span class="photo-tags">${photo.tags.map(t => `#${escapeHtml(t)}`).join(' ')}</span>` : ''}
+            ${photo.guestUpload && photo.guestUpload.uploaderName ? `<span class="photo-guest-uploader">👤 ${escapeHtml(photo.guestUpload.uploaderName)}${photo.guestUpload.status === 'PENDING' ? ' (待審核)' : ''}</span>` : ''}
+            ${photo.purgeAt ? `<span class="photo-purge-at">${new Date(photo.purgeAt).toLocaleDateString()} 永久刪除</span>` : ''}
+        </div>
+        <div class="photo-actions">
+            ${actionsHtml}
+        </div>
+    `;
+    return card;
+}
+
+async function loadAlbumContent() {
+    const { id, name, search, tag, favorites, trash, guestReview, share } = getUrlParams();
+    if (!id && search === null && tag === null && !favorites && !trash && !guestReview && share === null) return;
+
+    // 分享頁：先確認連結有效，需要密碼時顯示密碼表單
+    currentShareToken = share;
+    if (share !== null && !(await loadShareInfo())) return;
+    
+    // 搜尋、標籤與最愛模式沒有目前相簿，標題改為對應名稱
+    let title = name;
+    if (search !== null) title = `搜尋：${search}`;
+    else if (tag !== null) title = `#${tag}`;
+    else if (favorites) title = '♥ 我的最愛';
+    else if (trash) title = '🗑️ 垃圾桶';
+    else if (guestReview) title = '👤 待審核的訪客上傳';
+    else if (share !== null) title = currentShareInfo.albumName;
+    document.getElementById('currentAlbumName').textContent = title;
+    document.title = title;
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) searchInput.value = search || '';
+    currentAlbumId = id;
+    currentSearchQuery = search;
+    currentTag = tag;
+    isFavoritesView = favorites;
+    isTrashView = trash;
+    document.body.classList.toggle('trash-view', trash);
+    isGuestReviewView = guestReview;
+    document.body.classList.toggle('guest-review-view', guestReview);
+    ['shareAlbumButton', 'guestLinkButton', 'downloadAlbumButton'].forEach(buttonId => {
+        const button = document.getElementById(buttonId);
+        if (button) button.style.display = id ? 'inline-block' : 'none';
+    });
+    document.getElementById('sortSelect').value = currentSortMode;
+    
+    const grid = document.getElementById('photoGrid');
+    // 注意：這裡不再獲取 noPhotosMessage，因為它會被 grid.innerHTML = ''; 銷毀
+    
+    // 步驟 1: 重設分頁狀態並設置載入狀態
+    if (pageObserver) pageObserver.disconnect();
+    loadGeneration++;
+    isLoadingPage = false;
+    allPhotos = [];
+    nextCursor = null;
+    lastGroupKey = null;
+    selectedPhotoIds.clear();
+    const bulkActions = document.getElementById('bulkActions');
+    if (bulkActions) bulkActions.style.display = 'none';
+    grid.classList.remove('empty-grid');
+    grid.innerHTML = '<p id="pageSentinel" class="page-sentinel">載入中...</p>';
+
+    // 步驟 2: 載入第一頁
+    if (!(await loadNextPage())) {
         grid.innerHTML = '<p class="error-text">❌ 載入失敗，請檢查網路或後端服務。</p>'; 
+        return;
+    }
+
+    if (allPhotos.length === 0) {
+        grid.innerHTML = '';
+        grid.classList.add('empty-grid'); // 加入置中專用的樣式
+
+        const msg = document.createElement('p');
+        msg.id = 'noPhotosMessage';
+        msg.textContent = trash ? '垃圾桶是空的' : guestReview ? '沒有待審核的訪客上傳' : '此相簿目前沒有符合條件的留影';
+        grid.appendChild(msg);
+        return;
     }
+
+    // 步驟 3: 捲動到網格底部的 sentinel 時載入下一頁
+    pageObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadNextPage();
+    }, { root: grid, rootMargin: '400px' });
+    pageObserver.observe(document.getElementById('pageSentinel'));
 }
 
 // --- 燈箱邏輯 --- (略)
@@ -158,13 +385,19 @@ function displayLightboxContent(index) {
     if(oldVideo) oldVideo.remove();
 
     const caption = document.getElementById('imageCaption');
-    if(caption) caption.textContent = photo.originalFileName;
+    if(caption) caption.textContent = photo.caption ? `${photo.originalFileName} — ${photo.caption}` : photo.originalFileName;
+    if (currentShareToken !== null) {
+        renderShareDownload(photo);
+    } else {
+        renderLightboxEditor(photo);
+    }
 
     // 建立新的元素
     if (isVideo(photo.originalFileName)) {
         const video = document.createElement('video');
         video.id = 'lightboxVideo';
         video.src = photo.githubUrl;
+        if (photo.posterUrl) video.poster = photo.posterUrl;
         video.controls = true;
         video.autoplay = true;
         // 插入到按鈕之間
@@ -173,6 +406,12 @@ function displayLightboxContent(index) {
     } else {
         const img = document.createElement('img');
         img.id = 'lightboxImage';
+        const srcset = buildSrcset(photo);
+        if (srcset) {
+            // 讓瀏覽器依螢幕大小挑選中圖或主檔
+            img.srcset = srcset;
+            img.sizes = '90vw';
+        }
         img.src = photo.githubUrl;
         // 插入到按鈕之間
         const nextBtn = document.getElementById('nextBtn');
@@ -195,11 +434,311 @@ function navigatePhoto(dir) {
 }
 
 function handleKeyNavigation(e) {
+    // 編輯說明時不切換照片
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
     if (e.key === 'ArrowLeft') navigatePhoto(-1);
     if (e.key === 'ArrowRight') navigatePhoto(1);
     if (e.key === 'Escape') closeLightbox();
 }
 
+// --- 公開分享頁 ---
+
+// 讀取分享資訊；連結無效或需要密碼時回傳 false
+async function loadShareInfo() {
+    const grid = document.getElementById('photoGrid');
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/public/shares/${encodeURIComponent(currentShareToken)}`);
+        const data = await res.json();
+        if (!res.ok) {
+            grid.innerHTML = `<p class="error-text">❌ ${data.error || '無法開啟分享連結'}</p>`;
+            return false;
+        }
+
+        currentShareInfo = data;
+        document.getElementById('currentAlbumName').textContent = data.albumName;
+        document.title = data.albumName;
+        if (data.requiresPassword && !data.unlocked) {
+            document.getElementById('sharePasswordForm').style.display = 'flex';
+            document.getElementById('sharePasswordInput').focus();
+            return false;
+        }
+        document.getElementById('sharePasswordForm').style.display = 'none';
+        return true;
+    } catch (e) {
+        console.error('讀取分享資訊失敗', e);
+        grid.innerHTML = '<p class="error-text">❌ 載入失敗，請檢查網路連線。</p>';
+        return false;
+    }
+}
+
+async function unlockShare(event) {
+    event.preventDefault();
+    const input = document.getElementById('sharePasswordInput');
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/public/shares/${encodeURIComponent(currentShareToken)}/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: input.value })
+        });
+        const data = await res.json();
+        input.value = '';
+        if (!res.ok) {
+            const wait = data.retryAfter > 0 ? `，請於 ${data.retryAfter} 秒後再試` : '';
+            return showMessage('error', `❌ ${data.error}${wait}`);
+        }
+        loadAlbumContent();
+    } catch (e) {
+        showMessage('error', '網路錯誤，請稍後再試');
+    }
+}
+
+// 分享連結允許下載時，燈箱顯示下載原檔按鈕
+function renderShareDownload(photo) {
+    const link = document.getElementById('lightboxDownload');
+    if (!link) return;
+    link.style.display = currentShareInfo.allowDownload ? 'block' : 'none';
+    link.href = `${BACKEND_URL}/api/public/shares/${encodeURIComponent(currentShareToken)}/photos/${photo._id}/download`;
+}
+
+// --- 分享連結管理 (相簿頁) ---
+
+function describeShare(share) {
+    const parts = [];
+    if (share.revokedAt) parts.push('已撤銷');
+    else if (share.expired) parts.push('已過期');
+    else parts.push(share.expiresAt ? `${new Date(share.expiresAt).toLocaleDateString()} 到期` : '永不過期');
+    if (share.hasPassword) parts.push('需密碼');
+    if (share.allowDownload) parts.push('可下載');
+    parts.push(`瀏覽 ${share.accessCount} 次`);
+    return parts.join('・');
+}
+
+async function fetchShareLinks() {
+    const list = document.getElementById('shareLinkList');
+    list.innerHTML = '載入中...';
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/shares?albumId=${currentAlbumId}`);
+        const shares = await res.json();
+        list.innerHTML = shares.length === 0 ? '<p class="tag-empty">尚未建立分享連結</p>' : '';
+
+        shares.forEach(share => {
+            const active = !share.revokedAt && !share.expired;
+            const item = document.createElement('div');
+            item.className = `share-link-item${active ? '' : ' inactive'}`;
+            item.innerHTML = `
+                <input type="text" readonly value="${window.location.origin}${share.sharePath}" onclick="this.select()">
+                <span class="share-link-meta">${describeShare(share)}</span>
+                ${active ? `<button class="icon-btn delete" onclick="revokeShareLink('${share.id}')">撤銷</button>` : ''}
+            `;
+            list.appendChild(item);
+        });
+    } catch (e) {
+        console.error('載入分享連結失敗', e);
+        list.innerHTML = '<p class="error-text">載入失敗</p>';
+    }
+}
+
+function showShareModal() {
+    document.getElementById('sharePasswordNew').value = '';
+    document.getElementById('shareAllowDownload').checked = false;
+    document.getElementById('shareModal').style.display = 'block';
+    fetchShareLinks();
+}
+
+async function createShareLink(event) {
+    event.preventDefault();
+    const expiresInDays = document.getElementById('shareExpirySelect').value;
+    const password = document.getElementById('sharePasswordNew').value.trim();
+    const allowDownload = document.getElementById('shareAllowDownload').checked;
+
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/albums/${currentAlbumId}/shares`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ expiresInDays: expiresInDays || null, password: password || undefined, allowDownload })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            return showMessage('error', `❌ ${data.error}`);
+        }
+        document.getElementById('sharePasswordNew').value = '';
+        showMessage('success', '✅ 已建立分享連結');
+        fetchShareLinks();
+    } catch (e) {
+        showMessage('error', '網路錯誤，建立失敗');
+    }
+}
+
+async function revokeShareLink(shareId) {
+    if (!confirm('撤銷後此連結將立即失效，確定嗎？')) return;
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/shares/${shareId}`, { method: 'DELETE' });
+        const data = await res.json();
+        showMessage(res.ok ? 'success' : 'error', res.ok ? `✅ ${data.message}` : `❌ ${data.error}`);
+        fetchShareLinks();
+    } catch (e) {
+        showMessage('error', '網路錯誤，撤銷失敗');
+    }
+}
+
+// --- 訪客上傳連結管理與審核 ---
+
+function describeGuestLink(link) {
+    const parts = [];
+    if (link.label) parts.push(link.label);
+    if (link.revokedAt) parts.push('已撤銷');
+    else if (link.expired) parts.push('已過期');
+    else parts.push(`${new Date(link.expiresAt).toLocaleDateString()} 到期`);
+    parts.push(`已上傳 ${link.usedFiles}${link.maxFiles !== null ? `/${link.maxFiles}` : ''} 個`);
+    const usedMB = (link.usedBytes / 1024 / 1024).toFixed(0);
+    parts.push(link.maxBytes !== null ? `${usedMB}/${(link.maxBytes / 1024 / 1024).toFixed(0)}MB` : `${usedMB}MB`);
+    return parts.join('・');
+}
+
+async function fetchGuestLinks() {
+    const list = document.getElementById('guestLinkList');
+    list.innerHTML = '載入中...';
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/guest-links?albumId=${currentAlbumId}`);
+        const links = await res.json();
+        list.innerHTML = links.length === 0 ? '<p class="tag-empty">尚未建立訪客上傳連結</p>' : '';
+
+        links.forEach(link => {
+            const active = !link.revokedAt && !link.expired;
+            const item = document.createElement('div');
+            item.className = `share-link-item${active ? '' : ' inactive'}`;
+            item.innerHTML = `
+                <input type="text" readonly value="${window.location.origin}${link.uploadPath}" onclick="this.select()">
+                <span class="share-link-meta">${describeGuestLink(link)}</span>
+                ${active ? `<button class="icon-btn delete" onclick="revokeGuestLink('${link.id}')">撤銷</button>` : ''}
+            `;
+            list.appendChild(item);
+        });
+    } catch (e) {
+        console.error('載入訪客上傳連結失敗', e);
+        list.innerHTML = '<p class="error-text">載入失敗</p>';
+    }
+}
+
+function showGuestLinkModal() {
+    document.getElementById('guestLinkModal').style.display = 'block';
+    fetchGuestLinks();
+}
+
+async function createGuestLink(event) {
+    event.preventDefault();
+    const body = {
+        label: document.getElementById('guestLinkLabel').value.trim(),
+        expiresInDays: Number(document.getElementById('guestLinkExpirySelect').value),
+        maxFiles: document.getElementById('guestLinkMaxFiles').value.trim() || null,
+        maxMegabytes: document.getElementById('guestLinkMaxMegabytes').value.trim() || null
+    };
+
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/albums/${currentAlbumId}/guest-links`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            return showMessage('error', `❌ ${data.error}`);
+        }
+        showMessage('success', '✅ 已建立訪客上傳連結');
+        fetchGuestLinks();
+    } catch (e) {
+        showMessage('error', '網路錯誤，建立失敗');
+    }
+}
+
+async function revokeGuestLink(linkId) {
+    if (!confirm('撤銷後此連結將無法再上傳，確定嗎？')) return;
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/guest-links/${linkId}`, { method: 'DELETE' });
+        const data = await res.json();
+        showMessage(res.ok ? 'success' : 'error', res.ok ? `✅ ${data.message}` : `❌ ${data.error}`);
+        fetchGuestLinks();
+    } catch (e) {
+        showMessage('error', '網路錯誤，撤銷失敗');
+    }
+}
+
+// action 為 approve (保留) 或 reject (退回，移到垃圾桶)
+async function reviewGuestUploads(photoIds, action) {
+    if (action === 'reject' && !confirm(`確定要退回這 ${photoIds.length} 則訪客上傳嗎？退回的留影會移到垃圾桶。`)) return;
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/guest-uploads/review`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ photoIds, action })
+        });
+        const data = await res.json();
+        showMessage(res.ok ? 'success' : 'error', res.ok ? `✅ ${data.message}` : `❌ ${data.error}`);
+        localStorage.setItem('albums_data_changed', 'true');
+        loadAlbumContent();
+    } catch (e) {
+        showMessage('error', '網路錯誤，審核失敗');
+    }
+}
+
+// --- 燈箱內編輯：最愛、評分、說明 ---
+
+function renderLightboxEditor(photo) {
+    const favoriteBtn = document.getElementById('lightboxFavorite');
+    favoriteBtn.textContent = photo.favorite ? '♥' : '♡';
+    favoriteBtn.classList.toggle('active', !!photo.favorite);
+
+    document.querySelectorAll('#lightboxRating button').forEach(star => {
+        star.classList.toggle('active', Number(star.dataset.rating) <= (photo.rating || 0));
+    });
+
+    document.getElementById('lightboxCaptionInput').value = photo.caption || '';
+}
+
+// 更新燈箱中的照片，成功後同步本地資料與網格卡片
+async function updateLightboxPhoto(updates) {
+    const photo = allPhotos[currentPhotoIndex];
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/photos/${photo._id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(updates)
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            return showMessage('error', `❌ ${data.error || '更新失敗'}`);
+        }
+
+        Object.assign(photo, updates);
+        if (allPhotos[currentPhotoIndex] === photo) renderLightboxEditor(photo);
+
+        const card = document.querySelector(`.photo-card[data-photo-id="${photo._id}"]`);
+        if (card) {
+            const fresh = createPhotoCard(photo, allPhotos.indexOf(photo));
+            card.querySelector('.photo-info').replaceWith(fresh.querySelector('.photo-info'));
+        }
+    } catch (e) {
+        console.error('更新留影失敗', e);
+        showMessage('error', '網路錯誤，更新失敗');
+    }
+}
+
+function toggleLightboxFavorite() {
+    updateLightboxPhoto({ favorite: !allPhotos[currentPhotoIndex].favorite });
+}
+
+// 再按一次目前的星等則清除評分
+function setLightboxRating(rating) {
+    const current = allPhotos[currentPhotoIndex].rating || 0;
+    updateLightboxPhoto({ rating: rating === current ? 0 : rating });
+}
+
+function saveLightboxCaption() {
+    const caption = document.getElementById('lightboxCaptionInput').value.trim();
+    if (caption === (allPhotos[currentPhotoIndex].caption || '')) return;
+    updateLightboxPhoto({ caption });
+}
+
 // --- 選取與刪除邏輯 ---
 
 function handleSelectionClick(e, id, name) {
@@ -330,12 +869,18 @@ async function bulkDeletePhotos() {
     const photoIdsToDelete = Array.from(selectedPhotoIds).map(item => item.id);
     
     try {
-        await fetch(`${BACKEND_URL}/api/photos/bulkDelete`, {
+        const res = await fetch(`${BACKEND_URL}/api/photos/bulkDelete`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ photoIds: photoIdsToDelete })
         });
-        showMessage('success', `✅ 成功刪除 ${photoIdsToDelete.length} 張留影。`);
+        const data = await res.json();
+        if (res.status === 200) {
+            showMessage('success', `✅ 已將 ${photoIdsToDelete.length} 張留影移到垃圾桶。`);
+        } else {
+            // 207 為部分失敗，其餘為全部失敗
+            showMessage(res.ok ? 'warning' : 'error', `⚠️ ${data.message || data.error}`);
+        }
         loadAlbumContent(); 
     } catch (e) {
         showMessage('error', '刪除失敗');
@@ -350,13 +895,215 @@ async function singleDeletePhoto(id) {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ photoIds: [id] })
         });
-        showMessage('success', '✅ 成功刪除 1 張留影。');
+        showMessage('success', '✅ 已將 1 張留影移到垃圾桶。');
         loadAlbumContent();
     } catch (e) {
         showMessage('error', '刪除失敗');
     }
 }
 
+// --- 打包下載：以表單送出，讓瀏覽器直接串流儲存 ZIP，不需先載入記憶體 ---
+
+function submitDownload(fields) {
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = `${BACKEND_URL}/api/download`;
+    form.style.display = 'none';
+    Object.entries(fields).forEach(([name, value]) => {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = value;
+        form.appendChild(input);
+    });
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+}
+
+function downloadSelectedPhotos() {
+    const photoIds = selectedIds();
+    if (photoIds.length === 0) return showMessage('warning', '請先選取要下載的留影');
+    submitDownload({ photoIds: photoIds.join(',') });
+    showMessage('info', `正在打包 ${photoIds.length} 則留影，下載即將開始...`);
+}
+
+function downloadAlbum() {
+    submitDownload({ albumId: currentAlbumId });
+    showMessage('info', '正在打包整本相簿，下載即將開始...');
+}
+
+// --- 批量加入 / 移出最愛 ---
+
+async function bulkSetFavorite(favorite) {
+    const photoIds = Array.from(selectedPhotoIds).map(item => item.id);
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/photos/bulkUpdate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ photoIds, favorite })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            return showMessage('error', `❌ ${data.error || '更新失敗'}`);
+        }
+        showMessage('success', `✅ ${data.message}`);
+        loadAlbumContent();
+    } catch (e) {
+        showMessage('error', '網路錯誤，更新失敗');
+    }
+}
+
+// --- 標籤編輯 (目前選取的留影) ---
+
+// 已選留影目前的標籤與張數 (從已載入的 allPhotos 取得)
+function collectSelectedTags() {
+    const ids = new Set(Array.from(selectedPhotoIds).map(item => item.id));
+    const counts = new Map();
+    allPhotos.forEach(photo => {
+        if (!ids.has(photo._id)) return;
+        (photo.tags || []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+    });
+    return counts;
+}
+
+function renderSelectedTags() {
+    const list = document.getElementById('selectedTagList');
+    list.innerHTML = '';
+    const counts = collectSelectedTags();
+    if (counts.size === 0) {
+        list.innerHTML = '<span class="tag-empty">已選留影尚未加上標籤</span>';
+        return;
+    }
+    counts.forEach((count, tag) => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = `#${tag} (${count})`;
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = '從已選留影移除此標籤';
+        remove.onclick = () => updateSelectedTags('bulkRemove', [tag]);
+        chip.appendChild(remove);
+        list.appendChild(chip);
+    });
+}
+
+async function showTagModal() {
+    if (selectedPhotoIds.size === 0) return;
+    document.getElementById('tagModalMessage').textContent = `編輯 ${selectedPhotoIds.size} 張留影的標籤：`;
+    document.getElementById('newTagInput').value = '';
+    renderSelectedTags();
+    document.getElementById('tagModal').style.display = 'block';
+
+    // 既有標籤做為輸入建議
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/tags`);
+        const tags = await res.json();
+        document.getElementById('tagSuggestions').innerHTML = tags
+            .map(t => `<option value="${t.name}"></option>`)
+            .join('');
+    } catch (e) {
+        console.error('載入標籤建議失敗', e);
+    }
+}
+
+function addTagsFromInput() {
+    const input = document.getElementById('newTagInput');
+    const tags = input.value.split(/[,，]/).map(t => t.trim()).filter(Boolean);
+    if (tags.length === 0) return showMessage('error', '請輸入標籤名稱');
+    input.value = '';
+    updateSelectedTags('bulkAdd', tags);
+}
+
+// action 為 bulkAdd 或 bulkRemove，成功後同步更新本地資料與卡片
+async function updateSelectedTags(action, tags) {
+    const photoIds = Array.from(selectedPhotoIds).map(item => item.id);
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/tags/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ photoIds, tags })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            return showMessage('error', `❌ ${data.error || '標籤更新失敗'}`);
+        }
+
+        const ids = new Set(photoIds);
+        allPhotos.forEach(photo => {
+            if (!ids.has(photo._id)) return;
+            const current = photo.tags || [];
+            photo.tags = action === 'bulkAdd'
+                ? [...new Set([...current, ...data.tags])]
+                : current.filter(t => !data.tags.includes(t));
+
+            const info = document.querySelector(`.photo-card[data-photo-id="${photo._id}"] .photo-info`);
+            if (!info) return;
+            let tagLine = info.querySelector('.photo-tags');
+            if (!tagLine) {
+                tagLine = document.createElement('span');
+                tagLine.className = 'photo-tags';
+                info.appendChild(tagLine);
+            }
+            tagLine.textContent = photo.tags.map(t => `#${t}`).join(' ');
+        });
+
+        renderSelectedTags();
+        showMessage('success', `✅ ${data.message}`);
+    } catch (e) {
+        console.error('標籤更新失敗', e);
+        showMessage('error', '網路錯誤，標籤更新失敗');
+    }
+}
+
+// --- 垃圾桶：還原與永久刪除 ---
+
+async function restorePhotos(photoIds) {
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/trash/restore`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ photoIds })
+        });
+        const data = await res.json();
+        // 207 為部分還原失敗
+        if (res.status === 207) {
+            showMessage('warning', `⚠️ ${data.message}`);
+        } else {
+            showMessage(res.ok ? 'success' : 'error', res.ok ? `✅ ${data.message}` : `❌ ${data.error}`);
+        }
+        localStorage.setItem('albums_data_changed', 'true');
+        loadAlbumContent();
+    } catch (e) {
+        showMessage('error', '還原失敗');
+    }
+}
+
+// photoIds 為 null 時清空整個垃圾桶
+async function purgePhotos(photoIds) {
+    const question = photoIds
+        ? `確定要永久刪除這 ${photoIds.length} 張留影嗎？此動作無法復原。`
+        : '確定要清空垃圾桶嗎？所有項目將永久刪除，此動作無法復原。';
+    if (!confirm(question)) return;
+
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/trash/empty`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(photoIds ? { photoIds } : {})
+        });
+        const data = await res.json();
+        showMessage(res.ok ? 'success' : 'error', res.ok ? `✅ ${data.message}` : `❌ ${data.error}`);
+        loadAlbumContent();
+    } catch (e) {
+        showMessage('error', '永久刪除失敗');
+    }
+}
+
+function selectedIds() {
+    return Array.from(selectedPhotoIds).map(item => item.id);
+}
+
 // --- 移動照片邏輯 (新增) ---
 
 async function fetchAlbumsForMove() {
@@ -450,8 +1197,13 @@ async function executeMovePhoto() {
             })
         });
         
-        // 檢查回應是否成功
-        if (res.ok) {
+        // 207 表示部分照片無法移動，顯示伺服器的說明後重新載入內容
+        if (res.status === 207) {
+            const data = await res.json();
+            showMessage('warning', `⚠️ ${data.message}`);
+            localStorage.setItem('albums_data_changed', 'true');
+            loadAlbumContent();
+        } else if (res.ok) {
             showMessage('success', `✅ 成功移動 ${photoIdsToMove.length} 張留影！頁面將自動重新整理...`);
             
             // ⭐ 關鍵修正 1: 通知主頁面更新
@@ -488,4 +1240,26 @@ document.addEventListener('DOMContentLoaded', () => {
     window.singleDeletePhoto = singleDeletePhoto;
     window.showMovePhotoModal = showMovePhotoModal; // 暴露新功能
     window.executeMovePhoto = executeMovePhoto; // 暴露新功能
+    window.changeSortMode = changeSortMode;
+    window.loadAlbumContent = loadAlbumContent;
+    window.submitSearch = submitSearch;
+    window.showTagModal = showTagModal;
+    window.toggleLightboxFavorite = toggleLightboxFavorite;
+    window.setLightboxRating = setLightboxRating;
+    window.saveLightboxCaption = saveLightboxCaption;
+    window.bulkSetFavorite = bulkSetFavorite;
+    window.downloadSelectedPhotos = downloadSelectedPhotos;
+    window.downloadAlbum = downloadAlbum;
+    window.restorePhotos = restorePhotos;
+    window.purgePhotos = purgePhotos;
+    window.selectedIds = selectedIds;
+    window.unlockShare = unlockShare;
+    window.showShareModal = showShareModal;
+    window.createShareLink = createShareLink;
+    window.revokeShareLink = revokeShareLink;
+    window.showGuestLinkModal = showGuestLinkModal;
+    window.createGuestLink = createGuestLink;
+    window.revokeGuestLink = revokeGuestLink;
+    window.reviewGuestUploads = reviewGuestUploads;
+    window.addTagsFromInput = addTagsFromInput;
 });
\ No newline at end of file
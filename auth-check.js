@@ -9,8 +9,12 @@
             // 未登入，重導向到登入頁面
             const currentPath = window.location.pathname + window.location.search;
             window.location.href = `/login.html?redirect=${encodeURIComponent(currentPath)}`;
+            return;
         }
-        // 已登入，繼續載入頁面
+        // 已登入，記錄角色供樣式隱藏無權限的操作 (html[data-role="viewer"] 等)
+        const { user } = await response.json();
+        window.currentUser = user;
+        document.documentElement.dataset.role = user.role;
     } catch (error) {
         console.error('認證檢查失敗:', error);
         // 網路錯誤，為安全起見也跳轉到登入頁
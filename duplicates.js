@@ -0,0 +1,153 @@
+// duplicates.js (相似留影整理頁 - 依感知雜湊分群，選擇保留後批量刪除其餘)
+
+const BACKEND_URL = 'https://banban-life.zeabur.app'; 
+let clusters = []; // 目前的分群結果
+let keepSelections = {}; // 分群索引 → 要保留的照片 ID
+
+// 插入 innerHTML 的檔名與相簿名稱一律先跳脫 (與 album-content.js 相同)
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function showMessage(type, content) {
+    const msg = document.getElementById('message');
+    if (!msg) return; 
+    
+    const duration = (type === 'error') ? 8000 : 3000;
+    msg.className = `message-box ${type}`;
+    msg.innerHTML = content;
+    msg.style.display = 'block';
+    setTimeout(() => msg.style.display = 'none', duration);
+}
+
+// 網格預設使用最小的縮圖，沒有縮圖時退回主檔
+function getThumbnailUrl(photo) {
+    const small = (photo.renditions || []).find(r => r.size === 'small');
+    return small ? small.url : photo.githubUrl;
+}
+
+// 待刪除的照片：每組中未被選為保留的全部
+function getRejectedPhotoIds() {
+    const ids = [];
+    clusters.forEach((cluster, index) => {
+        cluster.photos.forEach(photo => {
+            if (photo._id !== keepSelections[index]) ids.push(photo._id);
+        });
+    });
+    return ids;
+}
+
+function updateDeleteButton() {
+    const count = getRejectedPhotoIds().length;
+    const button = document.getElementById('deleteRejectedButton');
+    button.disabled = count === 0;
+    button.textContent = count > 0 ? `刪除未保留的 ${count} 則留影` : '刪除未保留的留影';
+}
+
+function selectKeep(clusterIndex, photoId) {
+    keepSelections[clusterIndex] = photoId;
+    document.querySelectorAll(`[data-cluster="${clusterIndex}"] .photo-card`).forEach(card => {
+        card.classList.toggle('keep', card.dataset.photoId === photoId);
+    });
+    updateDeleteButton();
+}
+
+async function loadSimilarClusters() {
+    const list = document.getElementById('clusterList');
+    const threshold = document.getElementById('thresholdSelect').value;
+    list.innerHTML = '<p style="text-align:center;">分析中...</p>';
+
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/photos/similar?threshold=${threshold}`);
+        if (!res.ok) {
+            throw new Error(`API 載入失敗 (狀態碼: ${res.status})`);
+        }
+
+        const data = await res.json();
+        clusters = data.clusters;
+        keepSelections = {};
+        list.innerHTML = '';
+
+        if (clusters.length === 0) {
+            list.innerHTML = '<p style="text-align:center; color:#888;">沒有找到相似的留影 🎉</p>';
+            updateDeleteButton();
+            return;
+        }
+
+        clusters.forEach((cluster, index) => {
+            keepSelections[index] = cluster.suggestedKeepId;
+
+            const section = document.createElement('div');
+            section.className = 'cluster';
+            section.dataset.cluster = index;
+            section.innerHTML = `<h4 class="timeline-header">第 ${index + 1} 組 · ${cluster.photos.length} 則</h4>`;
+
+            const grid = document.createElement('div');
+            grid.className = 'cluster-grid';
+            cluster.photos.forEach(photo => {
+                const card = document.createElement('div');
+                card.className = 'photo-card';
+                card.dataset.photoId = photo._id;
+                card.title = '點選以保留這張';
+                card.onclick = () => selectKeep(index, photo._id);
+
+                const albumName = photo.albumId ? photo.albumId.name : '未知相簿';
+                const size = photo.width ? `${photo.width}×${photo.height}` : '';
+                card.innerHTML = `
+                    <div class="media-wrapper">
+                        <img src="${escapeHtml(getThumbnailUrl(photo))}" loading="lazy" alt="photo">
+                    </div>
+                    <div class="photo-info">
+                        <span class="photo-filename" title="${escapeHtml(photo.originalFileName)}">${escapeHtml(photo.originalFileName)}</span>
+                        <span style="color:#888;">${escapeHtml(albumName)} ${size}</span>
+                    </div>
+                    <span class="keep-badge">保留</span>
+                `;
+                grid.appendChild(card);
+            });
+
+            section.appendChild(grid);
+            list.appendChild(section);
+            selectKeep(index, cluster.suggestedKeepId);
+        });
+    } catch (e) {
+        console.error('載入相似留影失敗:', e);
+        list.innerHTML = '<p class="error-text">❌ 載入失敗，請檢查網路或後端服務。</p>';
+    }
+}
+
+async function deleteRejectedPhotos() {
+    const photoIds = getRejectedPhotoIds();
+    if (photoIds.length === 0) return;
+    if (!confirm(`確定要刪除 ${photoIds.length} 則未保留的留影嗎？`)) return;
+
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/photos/bulkDelete`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ photoIds })
+        });
+        const result = await res.json();
+
+        if (res.ok) {
+            showMessage('success', `✅ ${result.message}`);
+            localStorage.setItem('albums_data_changed', 'true');
+        } else {
+            showMessage('error', `❌ ${result.error}`);
+        }
+        loadSimilarClusters();
+    } catch (e) {
+        showMessage('error', '刪除失敗：網路連線異常');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.loadSimilarClusters = loadSimilarClusters;
+    window.deleteRejectedPhotos = deleteRejectedPhotos;
+    loadSimilarClusters();
+});
@@ -109,6 +109,63 @@ async function deleteAlbum(id, name) {
     }
 }
 
+// 全圖庫搜尋：在新分頁開啟搜尋結果 (與相簿卡片相同)
+function submitSearch(event) {
+    event.preventDefault();
+    const q = document.getElementById('searchInput').value.trim();
+    if (!q) return;
+    window.open(`album.html?search=${encodeURIComponent(q)}`, '_blank');
+}
+
+// 標籤雲：字級依使用次數縮放，點擊在新分頁列出該標籤的留影
+async function fetchTagCloud() {
+    const cloud = document.getElementById('tagCloud');
+    if (!cloud) return;
+
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/tags`);
+        const tags = (await response.json()).filter(t => t.count > 0);
+        cloud.innerHTML = '';
+        if (tags.length === 0) return;
+
+        const maxCount = Math.max(...tags.map(t => t.count));
+        tags.forEach(tag => {
+            const wrapper = document.createElement('span');
+            const link = document.createElement('a');
+            link.href = `album.html?tag=${encodeURIComponent(tag.name)}`;
+            link.target = '_blank';
+            link.textContent = `#${tag.name}`;
+            link.title = `${tag.count} 則留影`;
+            link.style.fontSize = `${0.85 + (tag.count / maxCount) * 0.75}em`;
+
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'tag-rename';
+            renameBtn.textContent = '✎';
+            renameBtn.title = '重新命名標籤';
+            renameBtn.onclick = () => renameTag(tag.name);
+
+            wrapper.append(link, renameBtn);
+            cloud.appendChild(wrapper);
+        });
+    } catch (error) {
+        console.error('載入標籤失敗:', error);
+    }
+}
+
+async function renameTag(oldName) {
+    const newName = (prompt(`將標籤「${oldName}」重新命名為：`, oldName) || '').trim();
+    if (!newName || newName === oldName) return;
+
+    const res = await fetch(`${BACKEND_URL}/api/tags/${encodeURIComponent(oldName)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ newName })
+    });
+    const data = await res.json();
+    showMessage(res.ok ? 'success' : 'error', data.message || data.error);
+    fetchTagCloud();
+}
+
 window.onclick = function(e) {
     if (e.target.className === 'modal') e.target.style.display = "none";
 }
@@ -118,6 +175,10 @@ document.addEventListener('DOMContentLoaded', () => {
     window.renameAlbum = renameAlbum;
     window.deleteAlbum = deleteAlbum;
     window.showRenameModal = showRenameModal;
+    window.submitSearch = submitSearch;
+    window.renameTag = renameTag;
     fetchAlbums();
+    fetchTagCloud();
     window.addEventListener('focus', fetchAlbums);
+    window.addEventListener('focus', fetchTagCloud);
 });
\ No newline at end of file
@@ -3,21 +3,63 @@ const mongoose = require('mongoose');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { EventEmitter } = require('events');
 const express = require('express');
 const session = require('express-session'); // ⭐ 新增
 const multer = require('multer');
 const cors = require('cors'); 
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const {
+    S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand, HeadObjectCommand, ListObjectsV2Command,
+    CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const archiver = require('archiver');
 const ffmpeg = require('fluent-ffmpeg');
 const sharp = require('sharp'); 
 const heicConvert = require('heic-convert'); 
+const exifr = require('exifr');
+
+// ⭐ 命令列模式：node server.js <指令> 只執行維護工作，不啟動 HTTP 服務與背景任務
+const CLI_COMMAND = process.argv[2];
 
 const app = express();
 app.use(cors()); 
 app.use(express.json()); 
 
-// ⭐ 全域變數：追蹤所有背景處理任務
-const mediaTasks = {}; 
+// 部署在反向代理後方時設定 TRUST_PROXY (例如 1)，req.ip 才會是使用者的真實 IP
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (Number(trustProxy) || trustProxy));
+}
+
+// ⭐ 背景媒體任務設定：任務狀態存於 MongoDB，伺服器重啟後可接續處理
+const MEDIA_TMP_DIR = process.env.MEDIA_TMP_DIR || os.tmpdir(); // 建議掛載持久化磁碟，重啟後暫存檔才不會遺失
+const MEDIA_TASK_CONCURRENCY = Math.max(1, parseInt(process.env.MEDIA_TASK_CONCURRENCY, 10) || 2); // 同時處理的任務上限
+const MEDIA_TASK_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.MEDIA_TASK_MAX_ATTEMPTS, 10) || 3); // 中斷後最多重試次數
+const MEDIA_TASK_STAGED_RETRY_DELAY_MS = 30 * 1000; // 從雲端暫存區取回原始檔失敗時，等待後重試
+const MEDIA_TASK_RETENTION_SECONDS = 10 * 60; // 任務結束後保留 10 分鐘供前端查詢
+const TRASH_RETENTION_DAYS = Math.max(1, parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30); // 垃圾桶保留天數，逾期永久刪除
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 每小時檢查一次逾期項目
+// ⭐ 儲存後端：未設定 STORAGE_DRIVER 時，有 R2 設定就用 R2，否則改用本機目錄 (本機開發 / 自架)
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || (process.env.R2_BUCKET_NAME ? 'r2' : 'local')).toLowerCase();
+// ⭐ 瀏覽器直傳 R2：原始檔以 presigned multipart 上傳到 staging/，不經過 Express (僅限 R2 儲存)
+// 需在 R2 bucket 的 CORS 設定允許網站來源的 PUT 並 ExposeHeaders: ETag；建議另設 staging/ 的生命週期規則清除放棄的上傳
+const DIRECT_UPLOAD_ENABLED = process.env.DIRECT_UPLOAD_ENABLED === 'true' && STORAGE_DRIVER === 'r2';
+const DIRECT_UPLOAD_PART_SIZE = 10 * 1024 * 1024; // 每個分段 10MB (S3 規定除最後一段外至少 5MB)
+const DIRECT_UPLOAD_MAX_BYTES = (parseInt(process.env.DIRECT_UPLOAD_MAX_MB, 10) || 2048) * 1024 * 1024;
+const DIRECT_UPLOAD_URL_EXPIRY_SECONDS = 60 * 60;
+const STAGING_PREFIX = 'staging/';
+// ⭐ 私有媒體模式：上傳不再設為公開，API 回傳有時效的簽章網址 (R2 需同時關閉 bucket 的公開存取)
+const PRIVATE_MEDIA = process.env.PRIVATE_MEDIA === 'true';
+const MEDIA_URL_TTL_SECONDS = Math.max(60, parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 60 * 60);
+// ⭐ 可續傳的分段上傳：分段先寫入 MEDIA_TMP_DIR，收齊後合併再排入背景任務
+const RESUMABLE_CHUNK_SIZE = 8 * 1024 * 1024;
+const RESUMABLE_MAX_BYTES = 500 * 1024 * 1024; // 與 multer 的單檔上限相同
+const RESUMABLE_UPLOAD_EXPIRY_HOURS = 24; // 超過此時間未續傳的上傳會被清除
+
+fs.mkdirSync(MEDIA_TMP_DIR, { recursive: true });
 
 // ============================================================
 // ⭐ 新增：Session 與密碼認證設定
@@ -27,10 +69,14 @@ const PHOTO_PASSWORD = process.env.PHOTO_PASSWORD;
 const SESSION_SECRET = process.env.SESSION_SECRET;
 
 // 檢查必要的認證環境變數
-if (!PHOTO_PASSWORD || !SESSION_SECRET) {
-    console.error("❌ 錯誤：缺少 PHOTO_PASSWORD 或 SESSION_SECRET 環境變數");
+// PHOTO_PASSWORD 改為「初始管理員」密碼：建立帳號後可移除，改用個人帳號登入
+if (!SESSION_SECRET) {
+    console.error("❌ 錯誤：缺少 SESSION_SECRET 環境變數");
     process.exit(1);
 }
+if (!PHOTO_PASSWORD) {
+    console.warn("⚠️ 未設定 PHOTO_PASSWORD，只能使用個人帳號登入");
+}
 
 // 設定 Session 中介層
 app.use(session({
@@ -45,46 +91,262 @@ app.use(session({
     }
 }));
 
-// 認證中介層函數
+// ⭐ 登入防護：統計時間窗內的失敗次數，依 IP 逐步延遲並暫時鎖定；全站失敗過多時所有人逐步延遲 (不鎖定)
+// 登入與分享密碼分開計算
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_DELAY_AFTER_FAILURES = 3; // 第 3 次失敗起每次等待時間加倍
+const LOGIN_MAX_DELAY_MS = 60 * 1000;
+const LOGIN_LOCKOUT_AFTER_FAILURES = Math.max(1, parseInt(process.env.LOGIN_LOCKOUT_AFTER_FAILURES, 10) || 10);
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const LOGIN_GLOBAL_DELAY_AFTER_FAILURES = Math.max(1, parseInt(process.env.LOGIN_GLOBAL_DELAY_AFTER_FAILURES, 10) || 100);
+const LOGIN_GLOBAL_DELAY_STEP = 10; // 超過門檻後每多 10 次失敗，全站等待時間加倍
+const LOGIN_GLOBAL_MAX_DELAY_MS = 10 * 1000; // 上限較短，避免單一用戶端讓所有人無法登入
+const LOGIN_ATTEMPT_LOG_DAYS = 30;
+
+// ⭐ 角色權限：viewer 只能瀏覽，editor 可上傳與整理，admin 另可管理成員
+const USER_ROLES = ['viewer', 'editor', 'admin'];
+const INVITE_EXPIRY_DAYS = 7;
+
+// 使用共用密碼登入時的身分 (沒有對應的 User 文件)
+const BOOTSTRAP_ADMIN = { id: null, username: 'admin', displayName: '初始管理員', role: 'admin', bootstrap: true };
+
+function hasRole(user, minRole) {
+    return USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(minRole);
+}
+
+// 密碼雜湊：scrypt + 隨機 salt，儲存為 scrypt$<salt>$<hash>
+const scryptAsync = require('util').promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function safeEqualString(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// 取得目前登入者；每次請求都重新讀取 User，角色變更或停用會立即生效
+// 舊版 session 只有 authenticated 旗標，視為以共用密碼登入的初始管理員
+async function loadSessionUser(req) {
+    if (!req.session || !req.session.authenticated) return null;
+    // 沒有 userId 的是以共用密碼登入的 session；移除 PHOTO_PASSWORD 後一併失效
+    if (!req.session.userId) return PHOTO_PASSWORD ? BOOTSTRAP_ADMIN : null;
+
+    const user = await User.findById(req.session.userId);
+    if (!user || user.disabled) return null;
+    return { id: user._id, username: user.username, displayName: user.displayName, role: user.role, bootstrap: false };
+}
+
+// 依角色限制存取的中介層
+function requireRole(minRole) {
+    return async (req, res, next) => {
+        const user = await loadSessionUser(req);
+        if (user && hasRole(user, minRole)) {
+            req.user = user;
+            return next();
+        }
+
+        // 如果是 API 請求，未登入回傳 401，權限不足回傳 403
+        if (req.path.startsWith('/api/')) {
+            return user
+                ? res.status(403).json({ error: '權限不足，無法執行此操作' })
+                : res.status(401).json({ error: '未授權，請先登入' });
+        }
+
+        // 如果是頁面請求，重導向到登入頁
+        res.redirect(`/login.html?redirect=${encodeURIComponent(req.path)}`);
+    };
+}
+
+const requireViewer = requireRole('viewer');
+const requireEditor = requireRole('editor');
+const requireAdmin = requireRole('admin');
+
+// 認證中介層函數：讀取類請求 (GET / HEAD) 需登入，其餘會修改資料的請求需 editor 以上
 function requireAuth(req, res, next) {
-    if (req.session && req.session.authenticated) {
-        return next();
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        return requireViewer(req, res, next);
     }
-    
-    // 如果是 API 請求，回傳 401
-    if (req.path.startsWith('/api/')) {
-        return res.status(401).json({ error: '未授權，請先登入' });
+    return requireEditor(req, res, next);
+}
+
+function startSession(req, user, rememberMe) {
+    req.session.authenticated = true;
+    req.session.userId = user ? user._id.toString() : null;
+
+    // 如果選擇「記住我」，延長 cookie 有效期為 30 天，否則僅此次瀏覽期間有效
+    if (rememberMe) {
+        req.session.cookie.maxAge = 30 * 24 * 60 * 60 * 1000; // 30 天
+    } else {
+        req.session.cookie.expires = false; // 關閉瀏覽器後失效
     }
-    
-    // 如果是頁面請求，重導向到登入頁
-    res.redirect(`/login.html?redirect=${encodeURIComponent(req.path)}`);
+}
+
+// 全站：時間窗內失敗次數超過門檻時，距離最近一次失敗需等待的毫秒數 (只延遲，不鎖定)
+async function getGlobalLoginDelay(kindMatch, windowStart, now) {
+    const globalFailures = await LoginAttempt.countDocuments({ ...kindMatch, result: 'FAILED', createdAt: { $gte: windowStart } });
+    if (globalFailures < LOGIN_GLOBAL_DELAY_AFTER_FAILURES) return 0;
+
+    const lastFailure = await LoginAttempt.findOne({ ...kindMatch, result: 'FAILED', createdAt: { $gte: windowStart } }).sort({ createdAt: -1 });
+    const steps = Math.floor((globalFailures - LOGIN_GLOBAL_DELAY_AFTER_FAILURES) / LOGIN_GLOBAL_DELAY_STEP);
+    const delay = Math.min(LOGIN_GLOBAL_MAX_DELAY_MS, 1000 * 2 ** steps);
+    return Math.max(0, lastFailure.createdAt.getTime() + delay - now);
+}
+
+// 計算此 IP 嘗試登入 username 目前需等待的毫秒數
+// 失敗次數依 IP 累計 (不分帳號)，只有同一帳號成功登入才會重新計算，避免以自己的帳號登入來重設次數
+// kind 為 'login' 或 'share' (分享密碼，username 為 share:<id>)，兩者各自計算
+// 回傳 { retryAfterMs, locked, scope }，retryAfterMs 為 0 代表可以嘗試
+async function getLoginThrottle(ip, username, kind = 'login') {
+    const now = Date.now();
+    const windowStart = new Date(now - LOGIN_FAILURE_WINDOW_MS);
+    // 舊紀錄沒有 kind 欄位，視為登入
+    const kindMatch = kind === 'login' ? { kind: { $ne: 'share' } } : { kind };
+
+    const globalDelay = await getGlobalLoginDelay(kindMatch, windowStart, now);
+    const withGlobalDelay = throttle => (globalDelay > throttle.retryAfterMs
+        ? { retryAfterMs: globalDelay, locked: false, scope: 'global' }
+        : throttle);
+
+    const lastSuccess = await LoginAttempt.findOne({ ip, username, ...kindMatch, result: 'SUCCESS', createdAt: { $gte: windowStart } }).sort({ createdAt: -1 });
+    const since = lastSuccess ? lastSuccess.createdAt : windowStart;
+    const failures = await LoginAttempt.find({ ip, ...kindMatch, result: 'FAILED', createdAt: { $gt: since } })
+        .sort({ createdAt: -1 })
+        .select('createdAt');
+    if (failures.length < LOGIN_DELAY_AFTER_FAILURES) {
+        return withGlobalDelay({ retryAfterMs: 0, locked: false, scope: 'ip' });
+    }
+
+    const lastFailureAt = failures[0].createdAt.getTime();
+    if (failures.length >= LOGIN_LOCKOUT_AFTER_FAILURES) {
+        return { retryAfterMs: Math.max(0, lastFailureAt + LOGIN_LOCKOUT_MS - now), locked: true, scope: 'ip' };
+    }
+
+    const delay = Math.min(LOGIN_MAX_DELAY_MS, 1000 * 2 ** (failures.length - LOGIN_DELAY_AFTER_FAILURES));
+    return withGlobalDelay({ retryAfterMs: Math.max(0, lastFailureAt + delay - now), locked: false, scope: 'ip' });
+}
+
+function recordLoginAttempt(req, username, result, kind = 'login') {
+    return LoginAttempt.create({
+        ip: req.ip,
+        kind,
+        username,
+        userAgent: String(req.get('user-agent') || '').slice(0, 200),
+        result
+    });
+}
+
+// 被限制時回傳 429 與剩餘秒數 (login.html 依此顯示倒數)
+function sendLoginThrottled(res, throttle) {
+    const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    let error = throttle.scope === 'global'
+        ? `目前登入失敗次數異常，請於 ${retryAfter} 秒後再試`
+        : `嘗試次數過多，請於 ${retryAfter} 秒後再試`;
+    if (throttle.locked) {
+        error = '失敗次數過多，已暫時鎖定';
+    }
+    return res.status(429).json({ error, retryAfter, locked: throttle.locked });
 }
 
 // ⭐ 認證 API 路由
-// [POST] 登入
-app.post('/api/auth/login', (req, res) => {
-    const { password, rememberMe } = req.body;
-    
-    if (password === PHOTO_PASSWORD) {
-        req.session.authenticated = true;
-        
-        // 如果選擇「記住我」，延長 cookie 有效期為 30 天，否則僅此次瀏覽期間有效
-        if (rememberMe) {
-            req.session.cookie.maxAge = 30 * 24 * 60 * 60 * 1000; // 30 天
-        } else {
-            req.session.cookie.expires = false; // 關閉瀏覽器後失效
+// [POST] 登入：{ username, password, rememberMe }，帳號留空時以共用密碼登入為初始管理員
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { password, rememberMe } = req.body;
+        const username = String(req.body.username || '').trim().toLowerCase();
+
+        if (!password) {
+            return res.status(400).json({ error: '請輸入密碼' });
         }
-        
-        return res.json({ success: true, message: '登入成功' });
-    } else {
-        return res.status(401).json({ error: '密碼錯誤' });
+
+        // 等待期間不驗證密碼，也不計入失敗次數
+        const throttle = await getLoginThrottle(req.ip, username);
+        if (throttle.retryAfterMs > 0) {
+            await recordLoginAttempt(req, username, 'BLOCKED');
+            return sendLoginThrottled(res, throttle);
+        }
+
+        // 驗證失敗：記錄後回報下次可嘗試的時間
+        const rejectLogin = async (error) => {
+            await recordLoginAttempt(req, username, 'FAILED');
+            const next = await getLoginThrottle(req.ip, username);
+            if (next.locked) {
+                return sendLoginThrottled(res, next);
+            }
+            return res.status(401).json({ error, retryAfter: Math.ceil(next.retryAfterMs / 1000) });
+        };
+
+        if (!username) {
+            if (PHOTO_PASSWORD && safeEqualString(password, PHOTO_PASSWORD)) {
+                await recordLoginAttempt(req, username, 'SUCCESS');
+                startSession(req, null, rememberMe);
+                return res.json({ success: true, message: '登入成功', user: BOOTSTRAP_ADMIN });
+            }
+            return rejectLogin('密碼錯誤');
+        }
+
+        const user = await User.findOne({ username });
+        if (!user || user.disabled || !(await verifyPassword(password, user.passwordHash))) {
+            return rejectLogin('帳號或密碼錯誤');
+        }
+
+        await recordLoginAttempt(req, username, 'SUCCESS');
+
+        user.lastLoginAt = new Date();
+        await user.save();
+        startSession(req, user, rememberMe);
+        return res.json({ success: true, message: '登入成功', user: user.toPublicJSON() });
+    } catch (error) {
+        console.error('登入失敗:', error);
+        res.status(500).json({ error: '登入失敗，請稍後再試' });
+    }
+});
+
+// [POST] 接受邀請：{ token, password }，設定密碼後直接登入
+app.post('/api/auth/accept-invite', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password || String(password).length < 8) {
+            return res.status(400).json({ error: '請提供邀請碼與至少 8 個字元的密碼' });
+        }
+
+        const user = await User.findOne({ inviteToken: token, inviteExpiresAt: { $gt: new Date() } });
+        if (!user || user.disabled) {
+            return res.status(404).json({ error: '邀請連結無效或已過期' });
+        }
+
+        user.passwordHash = await hashPassword(String(password));
+        user.inviteToken = undefined;
+        user.inviteExpiresAt = undefined;
+        user.lastLoginAt = new Date();
+        await user.save();
+
+        startSession(req, user, true);
+        res.json({ success: true, message: '密碼設定完成', user: user.toPublicJSON() });
+    } catch (error) {
+        console.error('接受邀請失敗:', error);
+        res.status(500).json({ error: '無法完成邀請設定' });
     }
 });
 
-// [GET] 檢查登入狀態
-app.get('/api/auth/check', (req, res) => {
-    if (req.session && req.session.authenticated) {
-        return res.json({ authenticated: true });
+// [GET] 檢查登入狀態 (附上目前的使用者與角色)
+app.get('/api/auth/check', async (req, res) => {
+    const user = await loadSessionUser(req);
+    if (user) {
+        return res.json({ authenticated: true, user });
     }
     return res.status(401).json({ authenticated: false });
 });
@@ -108,9 +370,25 @@ app.post('/api/auth/logout', (req, res) => {
 const publicPaths = [
     '/login.html',
     '/style.css',
-    '/images/'
+    '/images/',
+    '/share.html', // 分享連結的公開檢視頁 (權限由 /api/public/shares 依 token 判斷)
+    '/album-content.js',
+    '/guest-upload.html', // 訪客上傳頁 (權限由 guestToken 判斷)
+    '/upload.js',
+    '/media/', // 本機儲存的媒體檔 (STORAGE_DRIVER=local)
+    '/api/public/' // 分享連結與訪客上傳的公開 API (權限由各路由依 token 判斷)
+];
+
+// 帶 ?guestToken= 時交給路由上的 requireUploadAccess 驗證的上傳路徑
+const guestUploadPaths = [
+    /^\/api\/tasks\/submit-upload$/,
+    /^\/api\/tasks\/status\/[^/]+$/,
+    /^\/api\/tasks\/stream$/
 ];
 
+// 不修改資料但使用 POST 的路徑 (例如表單送出的 ZIP 下載)：瀏覽者即可使用
+const viewerPostPaths = ['/api/download'];
+
 // 靜態檔案中介層（附加認證檢查）
 app.use((req, res, next) => {
     // 檢查是否為公開路徑
@@ -119,6 +397,14 @@ app.use((req, res, next) => {
     if (isPublicPath) {
         return next();
     }
+
+    if (req.query.guestToken && guestUploadPaths.some(pattern => pattern.test(req.path))) {
+        return next();
+    }
+
+    if (req.method === 'POST' && viewerPostPaths.includes(req.path)) {
+        return requireViewer(req, res, next);
+    }
     
     // 其他靜態檔案需要認證
     requireAuth(req, res, next);
@@ -133,7 +419,7 @@ app.use(express.static(path.join(__dirname, '')));
 const upload = multer({ 
     storage: multer.diskStorage({
         destination: function (req, file, cb) {
-            cb(null, os.tmpdir()); 
+            cb(null, MEDIA_TMP_DIR); 
         },
         filename: function (req, file, cb) {
             cb(null, `${Date.now()}-${file.originalname.substring(0, 30)}`);
@@ -144,47 +430,384 @@ const upload = multer({
     }
 }); 
 
+// ============================================================
+// ⭐ 儲存後端：STORAGE_DRIVER=r2 (S3 相容，例如 Cloudflare R2) 或 local (本機目錄，由 Express 提供檔案)
+// 每個驅動提供 put / delete / exists / list / getStream / publicUrl，key 為完整路徑 (例如 images/xxx.jpg)
+// ============================================================
+
 const R2_ACCESS_KEY_ID = process.env.R2_ACCESS_KEY_ID;
 const R2_SECRET_ACCESS_KEY = process.env.R2_SECRET_ACCESS_KEY;
 const R2_API_ENDPOINT = process.env.R2_API_ENDPOINT;
 const R2_PUBLIC_URL = process.env.R2_PUBLIC_URL;
 const R2_BUCKET_NAME = process.env.R2_BUCKET_NAME;
 const MONGODB_URL = process.env.MONGODB_URL; 
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'media-storage'));
+const LOCAL_STORAGE_ROUTE = '/media';
+// 本機儲存的檔案網址，預設為相對路徑；前端與 API 不同網域時設定 LOCAL_STORAGE_PUBLIC_URL (例如 http://localhost:3000)
+const LOCAL_STORAGE_PUBLIC_URL = `${(process.env.LOCAL_STORAGE_PUBLIC_URL || '').replace(/\/$/, '')}${LOCAL_STORAGE_ROUTE}`;
 
-if (!R2_ACCESS_KEY_ID || !R2_SECRET_ACCESS_KEY || !R2_API_ENDPOINT || !R2_PUBLIC_URL || !R2_BUCKET_NAME || !MONGODB_URL) {
-    console.error("❌ 錯誤：必要的環境變數缺失 (R2 或 MongoDB)");
+if (!MONGODB_URL) {
+    console.error("❌ 錯誤：必要的環境變數缺失 (MONGODB_URL)");
     process.exit(1); 
 }
 
-const s3Client = new S3Client({
-    region: 'auto',
-    endpoint: R2_API_ENDPOINT,
-    credentials: {
-        accessKeyId: R2_ACCESS_KEY_ID,
-        secretAccessKey: R2_SECRET_ACCESS_KEY,
-    }
-});
+if (!['r2', 'local'].includes(STORAGE_DRIVER)) {
+    console.error(`❌ 錯誤：不支援的 STORAGE_DRIVER「${STORAGE_DRIVER}」，請使用 r2 或 local`);
+    process.exit(1);
+}
+
+if (STORAGE_DRIVER === 'r2' && (!R2_ACCESS_KEY_ID || !R2_SECRET_ACCESS_KEY || !R2_API_ENDPOINT || !R2_PUBLIC_URL || !R2_BUCKET_NAME)) {
+    console.error("❌ 錯誤：必要的環境變數缺失 (R2)，或設定 STORAGE_DRIVER=local 改用本機儲存");
+    process.exit(1); 
+}
+
+// 本機儲存沒有物件的 ContentType，依副檔名判斷
+const LOCAL_CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.heic': 'image/heic',
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm'
+};
+
+function createR2Storage() {
+    const client = new S3Client({
+        region: 'auto',
+        endpoint: R2_API_ENDPOINT,
+        credentials: {
+            accessKeyId: R2_ACCESS_KEY_ID,
+            secretAccessKey: R2_SECRET_ACCESS_KEY,
+        }
+    });
+
+    return {
+        name: 'r2',
+        client,
+        async put(localPath, key, contentType) {
+            await client.send(new PutObjectCommand({
+                Bucket: R2_BUCKET_NAME,
+                Key: key,
+                Body: fs.createReadStream(localPath), 
+                ContentType: contentType, 
+                ...(PRIVATE_MEDIA ? {} : { ACL: 'public-read' }),
+                CacheControl: `${PRIVATE_MEDIA ? 'private' : 'public'}, max-age=31536000, immutable` 
+            }));
+            return this.publicUrl(key);
+        },
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: R2_BUCKET_NAME, Key: key }));
+        },
+        async exists(key) {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: R2_BUCKET_NAME, Key: key }));
+                return true;
+            } catch (error) {
+                if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return false;
+                throw error;
+            }
+        },
+        // 逐一列出 prefix 底下的物件 { key, size, lastModified }
+        async *list(prefix) {
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket: R2_BUCKET_NAME, Prefix: prefix, ContinuationToken }));
+                for (const object of page.Contents || []) {
+                    yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+                }
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+        },
+        // 回傳 { Body, ContentType, ContentLength }
+        async getStream(key) {
+            const { Body, ContentType, ContentLength } = await client.send(new GetObjectCommand({ Bucket: R2_BUCKET_NAME, Key: key }));
+            return { Body, ContentType, ContentLength };
+        },
+        publicUrl(key) {
+            return `${R2_PUBLIC_URL}/${key}`;
+        },
+        // presigned GET，signingDate 固定時同一個 key 會得到相同網址
+        async signedUrl(key, signingDate, expiresIn) {
+            return getSignedUrl(client, new GetObjectCommand({ Bucket: R2_BUCKET_NAME, Key: key }), { signingDate, expiresIn });
+        }
+    };
+}
 
-async function deleteFileFromR2(storageFileName) {
-    const params = {
-        Bucket: R2_BUCKET_NAME,
-        Key: `images/${storageFileName}`, 
+function createLocalStorage() {
+    // 防止 key 含有 .. 跳出儲存目錄
+    const resolveKey = key => {
+        const fullPath = path.resolve(LOCAL_STORAGE_DIR, key);
+        if (!fullPath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+            throw new Error(`無效的儲存路徑: ${key}`);
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+        async put(localPath, key) {
+            const target = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(localPath, target);
+            return this.publicUrl(key);
+        },
+        async delete(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        },
+        async exists(key) {
+            return fs.existsSync(resolveKey(key));
+        },
+        async *list(prefix) {
+            const root = path.join(LOCAL_STORAGE_DIR, prefix);
+            if (!fs.existsSync(root)) return;
+            for (const entry of await fs.promises.readdir(root, { recursive: true, withFileTypes: true })) {
+                if (!entry.isFile()) continue;
+                const fullPath = path.join(entry.parentPath || entry.path, entry.name);
+                const { size, mtime } = await fs.promises.stat(fullPath);
+                yield { key: path.relative(LOCAL_STORAGE_DIR, fullPath).split(path.sep).join('/'), size, lastModified: mtime };
+            }
+        },
+        async getStream(key) {
+            const fullPath = resolveKey(key);
+            const { size } = await fs.promises.stat(fullPath);
+            return {
+                Body: fs.createReadStream(fullPath),
+                ContentType: LOCAL_CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+                ContentLength: size
+            };
+        },
+        publicUrl(key) {
+            return `${LOCAL_STORAGE_PUBLIC_URL}/${key}`;
+        },
+        async signedUrl(key, signingDate, expiresIn) {
+            const expires = Math.floor(signingDate.getTime() / 1000) + expiresIn;
+            return `${this.publicUrl(key)}?expires=${expires}&sig=${signLocalMediaKey(key, expires)}`;
+        }
     };
-    await s3Client.send(new DeleteObjectCommand(params));
+}
+
+function signLocalMediaKey(key, expires) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(`${key}:${expires}`).digest('base64url');
+}
+
+// 私有模式下 /media 需帶有效簽章 (或已登入)
+function verifyLocalMediaSignature(req, res, next) {
+    if (!PRIVATE_MEDIA) return next();
+
+    const key = decodeURIComponent(req.path.replace(/^\//, ''));
+    const expires = Number(req.query.expires);
+    const sig = String(req.query.sig || '');
+    if (expires > Date.now() / 1000 && safeEqualString(sig, signLocalMediaKey(key, expires))) {
+        return next();
+    }
+    requireViewer(req, res, next);
+}
+
+const storage = STORAGE_DRIVER === 'local' ? createLocalStorage() : createR2Storage();
+const s3Client = storage.client || null; // 直傳 (presigned multipart) 只在 R2 儲存下使用
+
+// 本機儲存的檔案與 R2 的 public-read 相同，不需登入即可讀取 (檔名含時間戳記，可長期快取)；私有模式下需簽章
+if (STORAGE_DRIVER === 'local') {
+    fs.mkdirSync(LOCAL_STORAGE_DIR, { recursive: true });
+    app.use(LOCAL_STORAGE_ROUTE, verifyLocalMediaSignature, express.static(LOCAL_STORAGE_DIR, {
+        maxAge: '365d',
+        immutable: true,
+        fallthrough: false,
+        setHeaders: res => PRIVATE_MEDIA && res.set('Cache-Control', `private, max-age=${MEDIA_URL_TTL_SECONDS}`)
+    }));
+    console.log(`📁 使用本機儲存: ${LOCAL_STORAGE_DIR}`);
+}
+
+async function deleteFileFromStorage(storageFileName) {
+    await storage.delete(`images/${storageFileName}`);
+}
+
+// 取得 images/ 物件的讀取串流 (Body) 與 ContentType / ContentLength
+async function getFileStreamFromStorage(storageFileName) {
+    return storage.getStream(`images/${storageFileName}`);
+}
+
+// 下載 images/ 物件到本機暫存檔
+async function downloadFileFromStorage(storageFileName, localPath) {
+    const response = await getFileStreamFromStorage(storageFileName);
+    await pipeline(response.Body, fs.createWriteStream(localPath));
+}
+
+// 下載瀏覽器直傳到 staging/ 的原始檔
+// 先寫入 <localPath>-download 再改名，中斷時不會留下被當成完整原始檔的半截檔案
+async function downloadStagedUpload(stagingKey, localPath) {
+    const partialPath = `${localPath}-download`;
+    try {
+        const response = await storage.getStream(stagingKey);
+        await pipeline(response.Body, fs.createWriteStream(partialPath));
+        await fs.promises.rename(partialPath, localPath);
+    } catch (error) {
+        await fs.promises.rm(partialPath, { force: true });
+        throw error;
+    }
+}
+
+async function deleteStagedUpload(stagingKey) {
+    await storage.delete(stagingKey);
+}
+
+// 上傳本機檔案到 images/ 目錄，回傳公開網址
+async function uploadFileToStorage(localPath, storageFileName, contentType) {
+    return storage.put(localPath, `images/${storageFileName}`, contentType);
+}
+
+// 私有模式下把儲存空間的網址換成簽章網址，其他網址 (例如外部封面) 原樣回傳
+// 簽章時間以 MEDIA_URL_TTL_SECONDS 為單位對齊，同一時段內網址不變，瀏覽器快取才會命中
+async function signMediaUrl(url) {
+    const base = storage.publicUrl('');
+    if (!PRIVATE_MEDIA || !url || !url.startsWith(base)) return url;
+
+    const windowMs = MEDIA_URL_TTL_SECONDS * 1000;
+    const signingDate = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+    return storage.signedUrl(url.slice(base.length), signingDate, MEDIA_URL_TTL_SECONDS * 2);
+}
+
+// 就地替換照片 (純物件) 的主檔、縮圖與影片封面網址
+async function signPhotoUrls(photos) {
+    if (!PRIVATE_MEDIA) return photos;
+    for (const photo of photos) {
+        photo.githubUrl = await signMediaUrl(photo.githubUrl);
+        photo.posterUrl = await signMediaUrl(photo.posterUrl);
+        for (const rendition of photo.renditions || []) {
+            rendition.url = await signMediaUrl(rendition.url);
+        }
+    }
+    return photos;
+}
+
+// 刪除照片在儲存空間上的主檔與所有縮圖版本
+// 重複上傳時「連結」的照片會共用同一組物件，仍有其他照片引用時只刪資料庫紀錄
+async function deletePhotoFilesFromStorage(photo) {
+    const sharedCount = await Photo.countDocuments({ storageFileName: photo.storageFileName, _id: { $ne: photo._id } });
+    if (sharedCount > 0) return;
+
+    await deleteFileFromStorage(photo.storageFileName);
+    for (const rendition of photo.renditions || []) {
+        await deleteFileFromStorage(rendition.storageFileName);
+    }
+    if (photo.posterStorageFileName) {
+        await deleteFileFromStorage(photo.posterStorageFileName);
+    }
+}
+
+// ============================================================
+// ⭐ 交易：相簿計數與照片異動需一起成功或一起失敗 (replica set / mongos 才支援，單機 MongoDB 直接執行)
+// ============================================================
+
+let transactionsSupported = false;
+
+async function detectTransactionSupport() {
+    try {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        return Boolean(hello.setName || hello.msg === 'isdbgrid');
+    } catch (error) {
+        console.error('偵測 MongoDB 交易支援失敗:', error.message);
+        return false;
+    }
+}
+
+// fn(session) 內的所有讀寫都需帶上 session；暫時性錯誤 (例如寫入衝突) 由 mongoose 自動重試
+async function withTransaction(fn) {
+    if (!transactionsSupported) return fn(null);
+    return mongoose.connection.transaction(session => fn(session));
+}
+
+// 舊版的 storageFileName 唯一索引會讓重複檔案無法連結；只提示，移除請執行 npm run migrate:photo-indexes
+// 檢查失敗不影響啟動
+async function warnLegacyPhotoIndexes() {
+    try {
+        const indexes = await Photo.collection.indexes();
+        if (indexes.some(index => index.unique && index.key && index.key.storageFileName === 1)) {
+            console.warn('⚠️ photos 仍有 storageFileName 唯一索引，重複檔案將無法連結，請執行 npm run migrate:photo-indexes');
+        }
+    } catch (error) {
+        console.warn('⚠️ 無法檢查照片索引:', error.message);
+    }
 }
 
 mongoose.connect(MONGODB_URL)
-    .then(() => console.log('✅ MongoDB 連線成功'))
+    .then(async () => {
+        console.log('✅ MongoDB 連線成功');
+        await warnLegacyPhotoIndexes();
+        transactionsSupported = await detectTransactionSupport();
+        if (!transactionsSupported) {
+            console.warn('⚠️ MongoDB 不是 replica set，相簿與照片的多筆更新將不使用交易');
+        }
+        if (CLI_COMMAND) return;
+        await recoverMediaTasks();
+        scheduleMediaTasks();
+        purgeExpiredTrash();
+        setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+        purgeStaleResumableUploads();
+        setInterval(purgeStaleResumableUploads, TRASH_PURGE_INTERVAL_MS);
+    })
     .catch(err => console.error('❌ MongoDB 連線失敗:', err));
 
 const PhotoSchema = new mongoose.Schema({
     originalFileName: { type: String, required: true }, 
-    storageFileName: { type: String, required: true, unique: true }, 
+    storageFileName: { type: String, required: true, index: true }, // 連結的重複照片會共用同一個檔案
     githubUrl: { type: String, required: true }, 
     albumId: { type: mongoose.Schema.Types.ObjectId, ref: 'Album' }, 
-    uploadedAt: { type: Date, default: Date.now } 
+    uploadedAt: { type: Date, default: Date.now },
+    width: { type: Number }, // 主檔尺寸 (供前端 srcset 使用)
+    height: { type: Number },
+    // ⭐ 多尺寸縮圖：與主檔放在同一個 R2 目錄
+    renditions: [{
+        _id: false,
+        size: { type: String, required: true }, // small / medium
+        width: { type: Number, required: true },
+        height: { type: Number, required: true },
+        storageFileName: { type: String, required: true },
+        url: { type: String, required: true }
+    }],
+    // ⭐ 影片專用：封面圖與長度 (秒)
+    duration: { type: Number },
+    posterStorageFileName: { type: String },
+    posterUrl: { type: String },
+    // ⭐ 拍攝資訊：優化前從原始檔的 EXIF 或影片容器標籤讀取
+    takenAt: { type: Date, index: true },
+    exif: {
+        make: { type: String },
+        model: { type: String },
+        lensModel: { type: String },
+        focalLength: { type: Number }, // mm
+        fNumber: { type: Number },
+        exposureTime: { type: Number }, // 秒
+        iso: { type: Number },
+        latitude: { type: Number },
+        longitude: { type: Number },
+        altitude: { type: Number } // 公尺
+    },
+    metadataExtractedAt: { type: Date }, // 已讀取過拍攝資訊，補資料指令會略過
+    contentHash: { type: String, index: true }, // 原始上傳檔的 SHA-256，用於偵測重複上傳
+    perceptualHash: { type: String }, // 圖片的 dHash (16 位 16 進位)，用於找出相似照片
+    caption: { type: String, default: '', trim: true },
+    favorite: { type: Boolean, default: false, index: true },
+    rating: { type: Number, default: 0, min: 0, max: 5 }, // 0 代表未評分
+    tags: { type: [String], default: [], index: true }, // 標籤名稱 (對應 Tag.name)
+    deletedAt: { type: Date, default: null, index: true }, // 移到垃圾桶的時間，null 代表未刪除
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null 代表以共用密碼或訪客連結上傳
+    // 透過訪客上傳連結加入的留影，需由相簿擁有者審核
+    guestUpload: {
+        linkId: { type: mongoose.Schema.Types.ObjectId, ref: 'GuestUploadLink' },
+        uploaderName: { type: String },
+        status: { type: String, enum: ['PENDING', 'APPROVED', 'REJECTED'] }
+    }
 });
 
+// ⭐ 全文搜尋索引 (不做語系斷詞，避免英文檔名被詞幹化)
+PhotoSchema.index(
+    { originalFileName: 'text', caption: 'text', tags: 'text', 'exif.make': 'text', 'exif.model': 'text' },
+    { name: 'photo_search_text', default_language: 'none', weights: { originalFileName: 5, caption: 3, tags: 3 } }
+);
+
 const AlbumSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true, unique: true }, 
     coverUrl: { type: String, default: '' }, 
@@ -192,8 +815,291 @@ const AlbumSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now } 
 });
 
+// ⭐ 標籤：自由命名，照片以名稱陣列引用
+const TagSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, unique: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// ⭐ 成員帳號：被邀請者透過 inviteToken 設定密碼後才能登入
+const UserSchema = new mongoose.Schema({
+    username: { type: String, required: true, trim: true, lowercase: true, unique: true },
+    displayName: { type: String, trim: true, default: '' },
+    passwordHash: { type: String }, // scrypt$<salt>$<hash>，尚未接受邀請時為空
+    role: { type: String, enum: USER_ROLES, default: 'viewer' },
+    disabled: { type: Boolean, default: false },
+    inviteToken: { type: String, index: { unique: true, sparse: true } },
+    inviteExpiresAt: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+    lastLoginAt: { type: Date }
+});
+
+// 回傳給前端的欄位 (不含密碼雜湊與邀請碼)
+UserSchema.methods.toPublicJSON = function () {
+    return {
+        id: this._id,
+        username: this.username,
+        displayName: this.displayName,
+        role: this.role,
+        disabled: this.disabled,
+        pendingInvite: !this.passwordHash,
+        inviteExpiresAt: this.passwordHash ? undefined : this.inviteExpiresAt,
+        createdAt: this.createdAt,
+        lastLoginAt: this.lastLoginAt
+    };
+};
+
+// ⭐ 登入嘗試紀錄：用於登入防護與管理員檢視，保留 LOGIN_ATTEMPT_LOG_DAYS 天
+const LoginAttemptSchema = new mongoose.Schema({
+    ip: { type: String, required: true, index: true },
+    kind: { type: String, enum: ['login', 'share'], default: 'login' }, // share 為分享連結密碼，與登入分開限制
+    username: { type: String, default: '' }, // 空字串代表使用共用密碼
+    userAgent: { type: String, default: '' },
+    result: { type: String, enum: ['SUCCESS', 'FAILED', 'BLOCKED'], required: true, index: true },
+    createdAt: { type: Date, default: Date.now, expires: LOGIN_ATTEMPT_LOG_DAYS * 24 * 60 * 60 }
+});
+
+// ⭐ 相簿分享連結：持有 token 即可唯讀瀏覽單一相簿
+const ShareLinkSchema = new mongoose.Schema({
+    token: { type: String, required: true, unique: true },
+    albumId: { type: mongoose.Schema.Types.ObjectId, ref: 'Album', required: true, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    expiresAt: { type: Date, default: null }, // null 代表永不過期
+    passwordHash: { type: String }, // 選填，格式同 User.passwordHash
+    allowDownload: { type: Boolean, default: false },
+    revokedAt: { type: Date, default: null },
+    accessCount: { type: Number, default: 0 },
+    lastAccessedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// ⭐ 訪客上傳連結：只能上傳到指定相簿，有期限與數量 / 容量上限
+const GuestUploadLinkSchema = new mongoose.Schema({
+    token: { type: String, required: true, unique: true },
+    albumId: { type: mongoose.Schema.Types.ObjectId, ref: 'Album', required: true, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    label: { type: String, trim: true, default: '' }, // 例如活動名稱，方便辨識
+    expiresAt: { type: Date, required: true },
+    maxFiles: { type: Number, default: null }, // null 代表不限
+    maxBytes: { type: Number, default: null },
+    usedFiles: { type: Number, default: 0 },
+    usedBytes: { type: Number, default: 0 },
+    revokedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// ⭐ 背景媒體處理任務 (取代原本的記憶體物件 mediaTasks)
+const MediaTaskSchema = new mongoose.Schema({
+    status: { type: String, enum: ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'], default: 'PENDING', index: true },
+    message: { type: String, default: '等待伺服器資源進行媒體處理...' },
+    originalFileName: { type: String, required: true },
+    albumId: { type: mongoose.Schema.Types.ObjectId, ref: 'Album', required: true },
+    file: {
+        path: { type: String, required: true }, // multer 寫入的暫存檔路徑 (直傳時為處理前下載的目的地)
+        stagingKey: { type: String }, // 直傳 R2 的原始檔位置 (staging/...)，處理結束後刪除
+        originalname: { type: String, required: true }, // 保留 multer 的 latin1 原始檔名
+        mimetype: { type: String, default: '' },
+        size: { type: Number, default: 0 }
+    },
+    attempts: { type: Number, default: 0 },
+    // ⭐ 重複檔案處理：skip 略過、link 在目標相簿建立指向既有檔案的照片、upload 仍然上傳
+    duplicatePolicy: { type: String, enum: ['skip', 'link', 'upload'], default: 'skip' },
+    duplicateAction: { type: String, enum: ['SKIPPED', 'LINKED', 'UPLOADED'] }, // 偵測到重複時實際採取的動作
+    duplicateOfPhotoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Photo' },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    guestUpload: {
+        linkId: { type: mongoose.Schema.Types.ObjectId, ref: 'GuestUploadLink' },
+        uploaderName: { type: String }
+    },
+    resultUrl: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    startedAt: { type: Date },
+    finishedAt: { type: Date, expires: MEDIA_TASK_RETENTION_SECONDS } // TTL：結束後自動清除
+});
+
+// ⭐ 可續傳上傳：記錄已收到的分段 (以起始位元組表示，每段長度固定為 chunkSize，最後一段除外)
+const ResumableUploadSchema = new mongoose.Schema({
+    status: { type: String, enum: ['UPLOADING', 'ASSEMBLING', 'COMPLETED'], default: 'UPLOADING' },
+    fingerprint: { type: String, required: true }, // 檔名:大小:修改時間，重新整理頁面後用來找回同一個上傳
+    originalFileName: { type: String, required: true },
+    mimetype: { type: String, default: '' },
+    size: { type: Number, required: true },
+    chunkSize: { type: Number, required: true },
+    receivedChunks: [Number],
+    albumId: { type: mongoose.Schema.Types.ObjectId, ref: 'Album', required: true },
+    duplicatePolicy: { type: String, enum: ['skip', 'link', 'upload'], default: 'skip' },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'MediaTask' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now, index: true }
+});
+ResumableUploadSchema.index({ uploadedBy: 1, fingerprint: 1, status: 1 });
+
+// ⭐ 任務狀態變更時通知 SSE 連線 (單一程序內的事件，多個執行個體時各自只會推送自己處理的任務)
+const mediaTaskEvents = new EventEmitter();
+mediaTaskEvents.setMaxListeners(0); // 每個上傳頁面的串流各註冊一個監聽器
+MediaTaskSchema.post('save', task => mediaTaskEvents.emit('update', task));
+MediaTaskSchema.post('findOneAndUpdate', task => task && mediaTaskEvents.emit('update', task));
+
 const Photo = mongoose.model('Photo', PhotoSchema);
 const Album = mongoose.model('Album', AlbumSchema);
+const MediaTask = mongoose.model('MediaTask', MediaTaskSchema);
+const Tag = mongoose.model('Tag', TagSchema);
+const User = mongoose.model('User', UserSchema);
+const LoginAttempt = mongoose.model('LoginAttempt', LoginAttemptSchema);
+const ShareLink = mongoose.model('ShareLink', ShareLinkSchema);
+const GuestUploadLink = mongoose.model('GuestUploadLink', GuestUploadLinkSchema);
+const ResumableUpload = mongoose.model('ResumableUpload', ResumableUploadSchema);
+
+// 圖片縮圖規格：小圖給相簿網格，中圖給手機燈箱
+const IMAGE_RENDITIONS = [
+    { size: 'small', width: 320 },
+    { size: 'medium', width: 1024 }
+];
+
+// 以優化後的 JPEG 產生各尺寸縮圖 (暫存檔名沿用來源前綴，方便清理)
+// 縮圖失敗不影響主檔上傳，前端會退回使用主檔
+async function createImageRenditions(sourcePath) {
+    const renditions = [];
+    try {
+        for (const { size, width } of IMAGE_RENDITIONS) {
+            const outputPath = `${sourcePath}-${size}.jpg`;
+            const info = await sharp(sourcePath)
+                .resize({ width, withoutEnlargement: true })
+                .jpeg({ quality: 75, mozjpeg: true })
+                .toFile(outputPath);
+            renditions.push({ size, path: outputPath, width: info.width, height: info.height });
+        }
+        return renditions;
+    } catch (err) {
+        console.error('❌ 產生縮圖失敗，僅上傳主檔:', err.message);
+        renditions.forEach(r => fs.existsSync(r.path) && fs.unlinkSync(r.path));
+        return [];
+    }
+}
+
+// ============================================================
+// ⭐ 拍攝資訊 (EXIF / 影片標籤) 讀取
+// ============================================================
+
+// EXIF 沒有記錄時區時採用的預設時區 (家人的相機多半設定台灣時間)
+const EXIF_DEFAULT_TZ_OFFSET = process.env.EXIF_DEFAULT_TZ_OFFSET || '+08:00';
+
+// 解析 EXIF 的 "YYYY:MM:DD HH:mm:ss" 格式，有 OffsetTime 時套用該時區
+function parseExifDate(value, offset) {
+    const match = String(value || '').match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return undefined;
+    const [, y, mo, d, h, mi, s] = match;
+    const tz = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : EXIF_DEFAULT_TZ_OFFSET;
+    const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${tz}`);
+    return isNaN(date) ? undefined : date;
+}
+
+// 解析影片標籤中的 ISO 8601 日期 (iPhone 為 2024-08-01T15:00:00+0800)
+function parseVideoDate(value) {
+    if (!value) return undefined;
+    const date = new Date(String(value).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+    return isNaN(date) ? undefined : date;
+}
+
+// 解析 ISO 6709 座標字串，例如 "+25.0330+121.5654+010.000/"
+function parseIso6709(value) {
+    const match = String(value || '').match(/^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/);
+    if (!match) return {};
+    return {
+        latitude: Number(match[1]),
+        longitude: Number(match[2]),
+        altitude: match[3] !== undefined ? Number(match[3]) : undefined
+    };
+}
+
+// 讀取 JPEG / PNG / HEIC 的 EXIF
+async function extractImageMetadata(filePath) {
+    const data = await exifr.parse(filePath, { reviveValues: false, gps: true });
+    if (!data) return {};
+    return {
+        takenAt: parseExifDate(data.DateTimeOriginal || data.CreateDate || data.DateTime, data.OffsetTimeOriginal || data.OffsetTime),
+        exif: {
+            make: data.Make,
+            model: data.Model,
+            lensModel: data.LensModel,
+            focalLength: data.FocalLength,
+            fNumber: data.FNumber,
+            exposureTime: data.ExposureTime,
+            iso: data.ISO,
+            latitude: data.latitude,
+            longitude: data.longitude,
+            altitude: data.GPSAltitude
+        }
+    };
+}
+
+// 讀取影片容器標籤 (iPhone 的 com.apple.quicktime.*、Android 的 com.android.* 與 location)
+function extractVideoMetadata(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) return reject(new Error(`FFprobe 失敗: ${err.message}`));
+
+            const tags = {};
+            [metadata.format, ...metadata.streams].forEach(source => {
+                for (const [key, value] of Object.entries((source && source.tags) || {})) {
+                    const lowerKey = key.toLowerCase();
+                    if (tags[lowerKey] === undefined) tags[lowerKey] = value;
+                }
+            });
+
+            const location = parseIso6709(tags['com.apple.quicktime.location.iso6709'] || tags['location']);
+            resolve({
+                takenAt: parseVideoDate(tags['com.apple.quicktime.creationdate']) || parseVideoDate(tags['creation_time']),
+                exif: {
+                    make: tags['com.apple.quicktime.make'] || tags['com.android.manufacturer'],
+                    model: tags['com.apple.quicktime.model'] || tags['com.android.model'],
+                    latitude: location.latitude,
+                    longitude: location.longitude,
+                    altitude: location.altitude
+                }
+            });
+        });
+    });
+}
+
+// 讀取原始檔的拍攝資訊；失敗時回傳空物件，不影響上傳流程
+async function extractCaptureMetadata(filePath, mimetype, ext) {
+    try {
+        const isVideoFile = (mimetype || '').startsWith('video/') || ext === '.mov' || ext === '.mp4';
+        return isVideoFile ? await extractVideoMetadata(filePath) : await extractImageMetadata(filePath);
+    } catch (err) {
+        console.error('❌ 讀取拍攝資訊失敗:', err.message);
+        return {};
+    }
+}
+
+// 讀取影片長度與畫面尺寸
+function probeVideo(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) return reject(new Error(`FFprobe 失敗: ${err.message}`));
+            const videoStream = metadata.streams.find(s => s.codec_type === 'video') || {};
+            resolve({
+                duration: Number(metadata.format.duration) || undefined,
+                width: videoStream.width,
+                height: videoStream.height
+            });
+        });
+    });
+}
+
+// 從影片擷取一張 JPEG 作為相簿網格的封面
+function extractVideoPoster(videoPath, outputPath, atSeconds) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .seekInput(atSeconds)
+            .outputOptions(['-frames:v 1', '-q:v 3'])
+            .on('end', () => resolve(outputPath))
+            .on('error', (err) => reject(new Error(`擷取影片封面失敗: ${err.message}`)))
+            .save(outputPath);
+    });
+}
 
 async function processMedia(file) {
     const originalPath = file.path;
@@ -211,12 +1117,12 @@ async function processMedia(file) {
         originalExt === '.webp' 
     ) {
         const outputExt = '.jpg';
-        const outputPath = path.join(os.tmpdir(), `${path.basename(originalPath)}-optimized${outputExt}`);
+        const outputPath = path.join(MEDIA_TMP_DIR, `${path.basename(originalPath)}-optimized${outputExt}`);
         
         console.log(`🖼️ 偵測到圖片: ${logName}，開始進行尺寸與品質優化...`);
 
         try {
-            await sharp(originalPath)
+            const info = await sharp(originalPath)
                 .rotate()
                 .resize({
                     width: 2000, 
@@ -230,8 +1136,10 @@ async function processMedia(file) {
                 })
                 .toFile(outputPath);
             
+            const renditions = await createImageRenditions(outputPath);
+            
             console.log(`✅ 圖片優化完成: ${logName}`);
-            return { path: outputPath, mime: 'image/jpeg', ext: outputExt };
+            return { path: outputPath, mime: 'image/jpeg', ext: outputExt, width: info.width, height: info.height, renditions };
         } catch (err) {
             console.error('❌ Sharp 處理圖片失敗，改回原始檔案:', err.message);
             return { path: originalPath, mime: originalMime, ext: originalExt };
@@ -245,7 +1153,7 @@ async function processMedia(file) {
         originalExt === '.heif'
     ) {
         const outputExt = '.jpeg';
-        const outputPath = path.join(os.tmpdir(), `${path.basename(originalPath)}-converted${outputExt}`);
+        const outputPath = path.join(MEDIA_TMP_DIR, `${path.basename(originalPath)}-converted${outputExt}`);
         console.log(`📸 偵測到 HEIC 檔案: ${logName}，開始轉換...`);
         
         try {
@@ -258,10 +1166,11 @@ async function processMedia(file) {
             fs.writeFileSync(outputPath, jpegBuffer);
             
             const finalPath = outputPath + "-opt.jpg";
-            await sharp(outputPath).rotate().resize({ width: 2000, height: 2000, fit: 'inside', withoutEnlargement: true }).toFile(finalPath);
+            const info = await sharp(outputPath).rotate().resize({ width: 2000, height: 2000, fit: 'inside', withoutEnlargement: true }).toFile(finalPath);
+            const renditions = await createImageRenditions(finalPath);
             
             console.log('✅ HEIC 轉換與優化完成');
-            return { path: finalPath, mime: 'image/jpeg', ext: '.jpg' };
+            return { path: finalPath, mime: 'image/jpeg', ext: '.jpg', width: info.width, height: info.height, renditions };
         } catch (err) {
             console.error('❌ HEIC 轉換失敗:', err.message);
             throw new Error(`HEIC 轉換失敗: ${err.message}`);
@@ -270,7 +1179,7 @@ async function processMedia(file) {
     
     else if (originalMime.startsWith('video/') || originalExt === '.mov' || originalExt === '.mp4') {
         const outputExt = '.mp4';
-        const outputPath = path.join(os.tmpdir(), `${path.basename(originalPath)}-compressed${outputExt}`);
+        const outputPath = path.join(MEDIA_TMP_DIR, `${path.basename(originalPath)}-compressed${outputExt}`);
         console.log(`🎬 偵測到影片: ${logName}，開始壓縮...`);
         
         await new Promise((resolve, reject) => {
@@ -281,36 +1190,220 @@ async function processMedia(file) {
                 .save(outputPath);
         });
 
-        return { path: outputPath, mime: 'video/mp4', ext: outputExt };
+        // 封面與長度只是輔助資訊，失敗時照樣上傳影片
+        const result = { path: outputPath, mime: 'video/mp4', ext: outputExt };
+        try {
+            const { duration, width, height } = await probeVideo(outputPath);
+            Object.assign(result, { duration, width, height });
+
+            const posterPath = `${outputPath}-poster.jpg`;
+            await extractVideoPoster(outputPath, posterPath, duration ? Math.min(1, duration / 2) : 0);
+            result.posterPath = posterPath;
+            console.log(`✅ 影片封面擷取完成 (長度 ${duration ? duration.toFixed(1) : '?'} 秒)`);
+        } catch (err) {
+            console.error('❌ 讀取影片資訊失敗，略過封面:', err.message);
+        }
+
+        return result;
     }
     
     throw new Error(`不支援的檔案類型: ${originalMime}`);
 }
 
-async function processMediaInBackground(taskId) {
-    const task = mediaTasks[taskId];
-    if (!task) return; 
+// 以串流計算檔案的 SHA-256，避免大型影片一次載入記憶體
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
 
-    const { file, targetAlbum } = task;
-    const originalnameFixed = Buffer.from(file.originalname, 'latin1').toString('utf8');
-    const baseName = originalnameFixed.replace(/[^a-z0-9\u4e00-\u9fa5\.\-]/gi, '_');
+// ============================================================
+// ⭐ 感知雜湊 (dHash)：找出連拍、重存等「看起來一樣」的照片
+// ============================================================
+
+// 縮成 9x8 灰階後比較每列左右相鄰像素，得到 64 位元雜湊 (16 進位字串)
+async function computePerceptualHash(filePath) {
+    const pixels = await sharp(filePath)
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hex = '';
+    for (let y = 0; y < 8; y++) {
+        let byte = 0;
+        for (let x = 0; x < 8; x++) {
+            byte = (byte << 1) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1 : 0);
+        }
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+// 32 位元整數中 1 的個數
+function popcount32(n) {
+    n = n - ((n >>> 1) & 0x55555555);
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+// 兩個 dHash 的漢明距離 (0 代表幾乎相同，64 代表完全相反)
+function hammingDistance(a, b) {
+    return popcount32((a.hi ^ b.hi) >>> 0) + popcount32((a.lo ^ b.lo) >>> 0);
+}
+
+// 依 dHash 距離把照片分群 (union-find)；共用同一個 R2 檔案的連結照片不算相似
+function clusterSimilarPhotos(photos, threshold) {
+    const hashes = photos.map(p => ({
+        hi: parseInt(p.perceptualHash.slice(0, 8), 16),
+        lo: parseInt(p.perceptualHash.slice(8), 16)
+    }));
+    const parent = photos.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < photos.length; i++) {
+        for (let j = i + 1; j < photos.length; j++) {
+            if (photos[i].storageFileName === photos[j].storageFileName) continue;
+            if (hammingDistance(hashes[i], hashes[j]) <= threshold) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    photos.forEach((photo, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(photo);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+// link 時從既有照片複製的欄位：只共用儲存檔案與拍攝資訊，不含說明、標籤、評分與審核狀態
+const LINKED_PHOTO_FIELDS = [
+    'storageFileName', 'githubUrl', 'width', 'height', 'renditions', 'duration',
+    'posterStorageFileName', 'posterUrl', 'takenAt', 'exif', 'metadataExtractedAt',
+    'contentHash', 'perceptualHash'
+];
+
+// 依任務的重複檔案策略處理已存在的照片 (skip / link)，不再處理與上傳媒體
+async function resolveDuplicateUpload(task, existingPhoto, targetAlbum) {
+    task.duplicateOfPhotoId = existingPhoto._id;
+    task.resultUrl = existingPhoto.githubUrl;
+    task.status = 'COMPLETED';
+
+    const alreadyInAlbum = existingPhoto.albumId && existingPhoto.albumId.toString() === targetAlbum._id.toString();
+    if (task.duplicatePolicy === 'skip' || alreadyInAlbum) {
+        task.duplicateAction = 'SKIPPED';
+        task.message = alreadyInAlbum
+            ? `⏭️ 目標相簿已有相同檔案「${existingPhoto.originalFileName}」，略過上傳`
+            : `⏭️ 圖庫已有相同檔案「${existingPhoto.originalFileName}」，略過上傳`;
+        return;
+    }
+
+    // link：建立新的照片紀錄，共用既有的 R2 檔案與拍攝資訊
+    const existing = existingPhoto.toObject();
+    const sharedFields = Object.fromEntries(
+        LINKED_PHOTO_FIELDS.filter(field => existing[field] !== undefined).map(field => [field, existing[field]])
+    );
+    const linkedPhoto = new Photo({
+        ...sharedFields,
+        originalFileName: task.originalFileName,
+        albumId: targetAlbum._id,
+        uploadedAt: new Date(),
+        uploadedBy: task.uploadedBy
+    });
+    await withTransaction(async session => {
+        await linkedPhoto.save({ session });
+        await Album.findByIdAndUpdate(targetAlbum._id, { $inc: { photoCount: 1 } }, { session });
+    });
+
+    task.duplicateAction = 'LINKED';
+    task.message = `🔗 圖庫已有相同檔案「${existingPhoto.originalFileName}」，已連結到此相簿`;
+}
+
+async function processMediaInBackground(task) {
+    const taskId = task._id.toString();
+    const file = task.file;
+    const originalnameFixed = task.originalFileName;
+    const baseName = originalnameFixed.replace(/[^a-z0-9\u4e00-\u9fa5\.\-]/gi, '_');
+    const startTime = task.startedAt ? task.startedAt.getTime() : Date.now();
 
-    task.status = 'PROCESSING';
     task.message = `開始處理檔案: ${originalnameFixed}`;
-    console.log(`[TASK ${taskId}] 開始處理: ${originalnameFixed}`);
+    await task.save();
+    console.log(`[TASK ${taskId}] 開始處理 (第 ${task.attempts} 次): ${originalnameFixed}`);
 
     const filesToCleanup = [file.path]; 
     let processedMedia; 
+    // 尚未開始處理就失敗 (例如 R2 暫時無法讀取) 時保留雲端暫存檔，之後可以重試
+    let keepStagedOriginal = false;
+    let retryStagedDownload = false;
 
     try {
+        if (file.stagingKey && !fs.existsSync(file.path)) {
+            task.message = '正在從雲端暫存區取回原始檔...';
+            await task.save();
+            try {
+                await downloadStagedUpload(file.stagingKey, file.path);
+            } catch (error) {
+                keepStagedOriginal = true;
+                retryStagedDownload = task.attempts < MEDIA_TASK_MAX_ATTEMPTS;
+                throw new Error(`無法從雲端暫存區取回原始檔: ${error.message}`);
+            }
+        }
+
+        if (!fs.existsSync(file.path)) {
+            throw new Error('暫存檔已遺失，請重新上傳');
+        }
+
+        const targetAlbum = await Album.findById(task.albumId);
+        if (!targetAlbum) {
+            throw new Error('目標相簿已不存在');
+        }
+
+        // ⭐ 以原始檔的 SHA-256 偵測完全相同的重複上傳
+        const contentHash = await hashFile(file.path);
+        const existingPhoto = await Photo.findOne({ contentHash, deletedAt: null });
+        if (existingPhoto) {
+            console.log(`[TASK ${taskId}] 偵測到重複檔案 (策略: ${task.duplicatePolicy})，既有照片: ${existingPhoto._id}`);
+            if (task.duplicatePolicy !== 'upload') {
+                await resolveDuplicateUpload(task, existingPhoto, targetAlbum);
+                return;
+            }
+            task.duplicateAction = 'UPLOADED';
+            task.duplicateOfPhotoId = existingPhoto._id;
+        }
+
+        // sharp 的 rotate() 會移除 EXIF，必須在優化前讀取
+        const captureMetadata = await extractCaptureMetadata(file.path, file.mimetype, path.extname(file.originalname).toLowerCase());
+
         processedMedia = await processMedia(file); 
+
+        let perceptualHash;
+        if (processedMedia.mime.startsWith('image/')) {
+            try {
+                perceptualHash = await computePerceptualHash(processedMedia.path);
+            } catch (err) {
+                console.error(`[TASK ${taskId}] 計算感知雜湊失敗:`, err.message);
+            }
+        }
         
-        task.message = '媒體處理完成，開始上傳 R2 雲端儲存...';
-        console.log(`[TASK ${taskId}] 媒體處理完成，開始上傳 R2...`);
+        task.message = '媒體處理完成，開始上傳到儲存空間...';
+        await task.save();
+        console.log(`[TASK ${taskId}] 媒體處理完成，開始上傳 (${storage.name})...`);
 
         if (processedMedia.path !== file.path) {
             filesToCleanup.push(processedMedia.path);
         }
+        const processedRenditions = processedMedia.renditions || [];
+        processedRenditions.forEach(r => filesToCleanup.push(r.path));
+        if (processedMedia.posterPath) {
+            filesToCleanup.push(processedMedia.posterPath);
+        }
 
         const cleanName = baseName
             .replace(/-optimized/g, '')
@@ -318,46 +1411,82 @@ async function processMediaInBackground(taskId) {
             .replace(/-compressed/g, '');
 
         const rawFileName = `${Date.now()}-${cleanName.replace(path.extname(cleanName), processedMedia.ext)}`; 
-        const fileKey = `images/${rawFileName}`; 
-
-        const fileStream = fs.createReadStream(processedMedia.path);
         
-        const uploadParams = {
-            Bucket: R2_BUCKET_NAME,
-            Key: fileKey,
-            Body: fileStream, 
-            ContentType: processedMedia.mime, 
-            ACL: 'public-read', 
-            CacheControl: 'public, max-age=31536000, immutable' 
-        };
-        
-        await s3Client.send(new PutObjectCommand(uploadParams));
-        
-        const r2PublicUrl = `${R2_PUBLIC_URL}/${fileKey}`; 
+        const publicUrl = await uploadFileToStorage(processedMedia.path, rawFileName, processedMedia.mime);
+
+        // 縮圖與主檔同名，加上尺寸後綴，例如 1700000000000-IMG_0001-small.jpg
+        const renditions = [];
+        const fileStem = rawFileName.slice(0, rawFileName.length - path.extname(rawFileName).length);
+        for (const rendition of processedRenditions) {
+            const renditionFileName = `${fileStem}-${rendition.size}.jpg`;
+            const url = await uploadFileToStorage(rendition.path, renditionFileName, 'image/jpeg');
+            renditions.push({
+                size: rendition.size,
+                width: rendition.width,
+                height: rendition.height,
+                storageFileName: renditionFileName,
+                url
+            });
+        }
+
+        let posterStorageFileName, posterUrl;
+        if (processedMedia.posterPath) {
+            posterStorageFileName = `${fileStem}-poster.jpg`;
+            posterUrl = await uploadFileToStorage(processedMedia.posterPath, posterStorageFileName, 'image/jpeg');
+        }
         
-        task.message = 'R2 上傳完成，寫入資料庫...';
-        console.log(`[TASK ${taskId}] R2 上傳完成，寫入資料庫...`);
+        task.message = '上傳完成，寫入資料庫...';
+        await task.save();
+        console.log(`[TASK ${taskId}] 上傳完成，寫入資料庫...`);
 
         const newPhoto = new Photo({
             originalFileName: originalnameFixed,
             storageFileName: rawFileName,
-            githubUrl: r2PublicUrl, 
-            albumId: targetAlbum._id
+            githubUrl: publicUrl, 
+            albumId: targetAlbum._id,
+            width: processedMedia.width,
+            height: processedMedia.height,
+            renditions,
+            duration: processedMedia.duration,
+            posterStorageFileName,
+            posterUrl,
+            takenAt: captureMetadata.takenAt,
+            exif: captureMetadata.exif,
+            metadataExtractedAt: new Date(),
+            contentHash,
+            perceptualHash,
+            uploadedBy: task.uploadedBy,
+            guestUpload: task.guestUpload && task.guestUpload.linkId
+                ? { linkId: task.guestUpload.linkId, uploaderName: task.guestUpload.uploaderName, status: 'PENDING' }
+                : undefined
+        });
+        await withTransaction(async session => {
+            await newPhoto.save({ session });
+            await Album.findByIdAndUpdate(targetAlbum._id, { $inc: { photoCount: 1 } }, { session });
         });
-        await newPhoto.save();
-        
-        await Album.findByIdAndUpdate(targetAlbum._id, { $inc: { photoCount: 1 } });
         
         task.status = 'COMPLETED';
-        task.message = `✅ 處理成功！耗時: ${((Date.now() - task.startTime) / 1000).toFixed(1)} 秒`;
-        task.resultUrl = r2PublicUrl;
+        task.message = `✅ 處理成功！耗時: ${((Date.now() - startTime) / 1000).toFixed(1)} 秒`;
+        if (task.duplicateAction === 'UPLOADED') {
+            task.message += ' (圖庫已有相同檔案，依設定仍然上傳)';
+        }
+        task.resultUrl = publicUrl;
         console.log(`[TASK ${taskId}] 完成: ${originalnameFixed}`);
 
     } catch (error) {
         const errorMessage = error.message;
-        task.status = 'FAILED';
-        task.message = `❌ 處理失敗: ${errorMessage}`;
-        console.error(`[TASK ${taskId}] 處理失敗: ${originalnameFixed} 錯誤:`, errorMessage);
+        if (retryStagedDownload) {
+            // 維持 PROCESSING，等待後再排回佇列 (期間伺服器重啟則由 recoverMediaTasks 接手)
+            task.message = `${errorMessage}，稍後重試...`;
+            console.error(`[TASK ${taskId}] ${errorMessage}，${MEDIA_TASK_STAGED_RETRY_DELAY_MS / 1000} 秒後重試`);
+        } else {
+            task.status = 'FAILED';
+            task.message = `❌ 處理失敗: ${errorMessage}`;
+            if (keepStagedOriginal) {
+                task.message += ` (原始檔保留於 ${file.stagingKey})`;
+            }
+            console.error(`[TASK ${taskId}] 處理失敗: ${originalnameFixed} 錯誤:`, errorMessage);
+        }
     } finally {
         for (const p of filesToCleanup) {
              try {
@@ -368,7 +1497,116 @@ async function processMediaInBackground(taskId) {
                 console.error(`[TASK ${taskId}] 刪除暫存檔 ${p} 失敗:`, cleanupError.message);
             }
         }
-        setTimeout(() => delete mediaTasks[taskId], 600000);
+        if (file.stagingKey && !keepStagedOriginal) {
+            try {
+                await deleteStagedUpload(file.stagingKey);
+            } catch (cleanupError) {
+                console.error(`[TASK ${taskId}] 刪除雲端暫存檔 ${file.stagingKey} 失敗:`, cleanupError.message);
+            }
+        }
+        if (!retryStagedDownload) {
+            task.finishedAt = new Date();
+        }
+        try {
+            await task.save();
+        } catch (saveError) {
+            console.error(`[TASK ${taskId}] 寫入任務結果失敗:`, saveError.message);
+        }
+        if (retryStagedDownload) {
+            setTimeout(() => {
+                MediaTask.updateOne({ _id: task._id, status: 'PROCESSING' }, { $set: { status: 'PENDING' } })
+                    .then(() => scheduleMediaTasks())
+                    .catch(error => console.error(`[TASK ${taskId}] 重新排入佇列失敗:`, error.message));
+            }, MEDIA_TASK_STAGED_RETRY_DELAY_MS);
+        }
+    }
+}
+
+// ============================================================
+// ⭐ 任務佇列：限制同時處理數量，並於重啟後恢復未完成任務
+// ============================================================
+
+let runningMediaTaskCount = 0;
+
+// 從資料庫依序領取 PENDING 任務，直到達到併發上限
+async function scheduleMediaTasks() {
+    while (runningMediaTaskCount < MEDIA_TASK_CONCURRENCY) {
+        // 先佔用名額再查詢，避免多個排程呼叫同時超過上限
+        runningMediaTaskCount++;
+
+        let task;
+        try {
+            task = await MediaTask.findOneAndUpdate(
+                { status: 'PENDING' },
+                { $set: { status: 'PROCESSING', startedAt: new Date() }, $inc: { attempts: 1 } },
+                { sort: { createdAt: 1 }, new: true }
+            );
+        } catch (error) {
+            runningMediaTaskCount--;
+            console.error('領取背景任務失敗:', error.message);
+            return;
+        }
+
+        if (!task) {
+            runningMediaTaskCount--;
+            return;
+        }
+
+        processMediaInBackground(task)
+            .catch(error => console.error(`[TASK ${task._id}] 未預期的錯誤:`, error.message))
+            .finally(() => {
+                runningMediaTaskCount--;
+                scheduleMediaTasks();
+            });
+    }
+}
+
+// 刪除某個任務在暫存目錄留下的處理中產物 (例如 -optimized.jpg)，keepOriginal 為 false 時連原始檔一併刪除
+function cleanupTaskTempFiles(task, keepOriginal = false) {
+    const dir = path.dirname(task.file.path);
+    const prefix = path.basename(task.file.path);
+    try {
+        for (const name of fs.readdirSync(dir)) {
+            if ((!keepOriginal && name === prefix) || name.startsWith(`${prefix}-`)) {
+                fs.unlinkSync(path.join(dir, name));
+            }
+        }
+    } catch (error) {
+        console.error(`[TASK ${task._id}] 清除暫存檔失敗:`, error.message);
+    }
+}
+
+// 伺服器啟動時：中斷的 PROCESSING 任務重新排入佇列，無法重試的標記為失敗
+async function recoverMediaTasks() {
+    try {
+        const interruptedTasks = await MediaTask.find({ status: 'PROCESSING' });
+        for (const task of interruptedTasks) {
+            // 直傳的原始檔仍在 staging/，本機暫存檔遺失也能重新下載
+            const canRetry = task.attempts < MEDIA_TASK_MAX_ATTEMPTS && (Boolean(task.file.stagingKey) || fs.existsSync(task.file.path));
+
+            if (canRetry) {
+                // 只保留原始檔，移除上次處理到一半的產物
+                cleanupTaskTempFiles(task, true);
+                task.status = 'PENDING';
+                task.message = '伺服器重新啟動，任務已重新排入佇列...';
+            } else {
+                cleanupTaskTempFiles(task);
+                if (task.file.stagingKey) {
+                    await deleteStagedUpload(task.file.stagingKey).catch(error => console.error(`[TASK ${task._id}] 刪除雲端暫存檔失敗:`, error.message));
+                }
+                task.status = 'FAILED';
+                task.message = '❌ 處理失敗: 伺服器重新啟動且無法重試，請重新上傳';
+                task.finishedAt = new Date();
+            }
+            await task.save();
+        }
+
+        const pendingCount = await MediaTask.countDocuments({ status: 'PENDING' });
+        if (interruptedTasks.length > 0 || pendingCount > 0) {
+            console.log(`🔁 恢復背景任務：中斷 ${interruptedTasks.length} 個，待處理 ${pendingCount} 個`);
+        }
+    } catch (error) {
+        console.error('恢復背景任務失敗:', error.message);
     }
 }
 
@@ -392,7 +1630,10 @@ app.get('/api/albums', requireAuth, async (req, res) => {
             await defaultAlbum.save();
         }
 
-        const albums = await Album.find().sort({ createdAt: -1 });
+        const albums = await Album.find().sort({ createdAt: -1 }).lean();
+        for (const album of albums) {
+            album.coverUrl = await signMediaUrl(album.coverUrl);
+        }
         res.json(albums);
     } catch (error) {
         console.error('取得相簿列表失敗:', error);
@@ -467,19 +1708,25 @@ app.delete('/api/albums/:id', requireAuth, async (req, res) => {
             return res.status(500).json({ error: '系統錯誤：找不到預設相簿' });
         }
 
-        const updateResult = await Photo.updateMany(
-            { albumId: albumId }, 
-            { $set: { albumId: defaultAlbum._id } } 
-        );
-        
-        if (updateResult.modifiedCount > 0) {
-            await Album.findByIdAndUpdate(defaultAlbum._id, { $inc: { photoCount: updateResult.modifiedCount } });
-        }
+        // 垃圾桶中的照片一併移過去 (還原時才有相簿可回)，但不計入照片數
+        const activeCount = await withTransaction(async session => {
+            const count = await Photo.countDocuments({ albumId: albumId, deletedAt: null }).session(session);
+            await Photo.updateMany(
+                { albumId: albumId }, 
+                { $set: { albumId: defaultAlbum._id } },
+                { session }
+            );
+            
+            if (count > 0) {
+                await Album.findByIdAndUpdate(defaultAlbum._id, { $inc: { photoCount: count } }, { session });
+            }
 
-        await Album.findByIdAndDelete(albumId);
+            await Album.findByIdAndDelete(albumId, { session });
+            return count;
+        });
 
         res.json({ 
-            message: `相簿「${albumToDelete.name}」已刪除，其中 ${updateResult.modifiedCount} 張照片已移至「未分類相簿」。`
+            message: `相簿「${albumToDelete.name}」已刪除，其中 ${activeCount} 張照片已移至「未分類相簿」。`
         });
         
     } catch (error) {
@@ -488,134 +1735,547 @@ app.delete('/api/albums/:id', requireAuth, async (req, res) => {
     }
 });
 
+// ⭐ 照片排序：taken 拍攝日期 (沒有 EXIF 時以上傳時間代替)、uploaded 上傳日期、name 檔名
+const PHOTO_SORT_FIELDS = {
+    taken: 'capturedAt',
+    uploaded: 'uploadedAt',
+    name: 'originalFileName',
+    deleted: 'deletedAt' // 垃圾桶使用
+};
+
+// 檔名排序使用中文語系與數字排序 (IMG_2 排在 IMG_10 前面)
+const PHOTO_NAME_COLLATION = { locale: 'zh', numericOrdering: true };
+
+// 時間軸分組格式與時區 (與 EXIF 預設時區一致)
+const TIMELINE_GROUP_FORMATS = {
+    day: '%Y-%m-%d',
+    month: '%Y-%m'
+};
+
+// capturedAt 為「拍攝時間或上傳時間」，排序與日期篩選都以它為準
+const CAPTURED_AT_STAGE = { $addFields: { capturedAt: { $ifNull: ['$takenAt', '$uploadedAt'] } } };
+
+// ⭐ 分頁設定：每頁預設 60 則，最多 200 則
+const PHOTO_PAGE_SIZE_DEFAULT = 60;
+const PHOTO_PAGE_SIZE_MAX = 200;
+
+// 影片檔名 (處理後的影片一律為 .mp4，舊資料可能保留原始副檔名)
+const VIDEO_FILE_PATTERN = /\.(mp4|mov|webm|ogg)$/i;
+
+// 游標內容：排序欄位、最後一筆的欄位值與 _id，編碼成 base64url
+function encodePhotoCursor(photo, field) {
+    return Buffer.from(JSON.stringify({ f: field, v: photo[field], id: photo._id })).toString('base64url');
+}
+
+function decodePhotoCursor(cursor, field) {
+    try {
+        const { f, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (f !== field || !mongoose.isValidObjectId(id)) return null;
+        const value = field === 'originalFileName' ? String(v) : new Date(v);
+        if (value instanceof Date && isNaN(value)) return null;
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+}
+
+// 將 YYYY-MM-DD 解析為該日 00:00 (EXIF 預設時區)；endOfDay 時回傳隔天 00:00
+function parseFilterDate(value, endOfDay) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00${EXIF_DEFAULT_TZ_OFFSET}`);
+    if (isNaN(date)) return null;
+    if (endOfDay) date.setTime(date.getTime() + 24 * 60 * 60 * 1000);
+    return date;
+}
+
+// 篩選條件：type (image / video)、from / to (拍攝日期 YYYY-MM-DD，含當天)、favorite=true、minRating (1~5)
+function parsePhotoFilters(query) {
+    const match = {};
+
+    if (query.type === 'video') {
+        match.storageFileName = VIDEO_FILE_PATTERN;
+    } else if (query.type === 'image') {
+        match.storageFileName = { $not: VIDEO_FILE_PATTERN };
+    } else if (query.type) {
+        return { error: 'type 只能是 image 或 video' };
+    }
+
+    if (query.from || query.to) {
+        match.capturedAt = {};
+        if (query.from) {
+            const from = parseFilterDate(query.from, false);
+            if (!from) return { error: 'from 日期格式應為 YYYY-MM-DD' };
+            match.capturedAt.$gte = from;
+        }
+        if (query.to) {
+            const to = parseFilterDate(query.to, true);
+            if (!to) return { error: 'to 日期格式應為 YYYY-MM-DD' };
+            match.capturedAt.$lt = to;
+        }
+    }
+
+    if (query.favorite === 'true') {
+        match.favorite = true;
+    }
+
+    if (query.minRating) {
+        const minRating = Number(query.minRating);
+        if (!Number.isInteger(minRating) || minRating < 1 || minRating > 5) {
+            return { error: 'minRating 必須是 1 到 5 的整數' };
+        }
+        match.rating = { $gte: minRating };
+    }
+
+    return { match };
+}
+
+// 尚未審核或已退回的訪客上傳只出現在審核佇列，其他列表一律排除
+const REVIEWED_PHOTO_MATCH = { 'guestUpload.status': { $nin: ['PENDING', 'REJECTED'] } };
+
+// 依排序、篩選與游標取得一頁照片 (baseMatch 例如 { albumId })；參數錯誤時回傳 { error }
+// 預設排除垃圾桶中的照片與未審核的訪客上傳，baseMatch 可自行指定 deletedAt / guestUpload.status 覆蓋
+async function queryPhotoPage(baseMatch, query) {
+    const field = PHOTO_SORT_FIELDS[query.sort] || PHOTO_SORT_FIELDS.uploaded;
+    const direction = query.order === 'asc' ? 1 : -1;
+    const limit = Math.min(PHOTO_PAGE_SIZE_MAX, Math.max(1, parseInt(query.limit, 10) || PHOTO_PAGE_SIZE_DEFAULT));
+
+    const filters = parsePhotoFilters(query);
+    if (filters.error) return filters;
+
+    const pipeline = [{ $match: { deletedAt: null, ...REVIEWED_PHOTO_MATCH, ...baseMatch } }, CAPTURED_AT_STAGE, { $match: filters.match }];
+
+    if (query.cursor) {
+        const cursor = decodePhotoCursor(query.cursor, field);
+        if (!cursor) return { error: '無效的分頁游標' };
+        const op = direction === 1 ? '$gt' : '$lt';
+        pipeline.push({
+            $match: {
+                $or: [
+                    { [field]: { [op]: cursor.value } },
+                    { [field]: cursor.value, _id: { [op]: cursor.id } }
+                ]
+            }
+        });
+    }
+
+    // 多取一筆用來判斷是否還有下一頁
+    pipeline.push({ $sort: { [field]: direction, _id: direction } }, { $limit: limit + 1 });
+    const results = await Photo.aggregate(pipeline).collation(PHOTO_NAME_COLLATION);
+
+    const hasMore = results.length > limit;
+    const photos = await signPhotoUrls(hasMore ? results.slice(0, limit) : results);
+    return { photos, nextCursor: hasMore ? encodePhotoCursor(photos[photos.length - 1], field) : null };
+}
+
+// [GET] 相簿照片 (分頁)：?sort=&order=&limit=&cursor=&type=&from=&to=&favorite=&minRating=
 app.get('/api/albums/:id/photos', requireAuth, async (req, res) => {
     try {
         const albumId = req.params.id;
         if (!(await Album.findById(albumId))) {
              return res.status(404).json({ error: '找不到該相簿' });
         }
-        const photos = await Photo.find({ albumId: albumId }).sort({ uploadedAt: -1 });
-        res.json(photos);
+        const page = await queryPhotoPage({ albumId: new mongoose.Types.ObjectId(albumId) }, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        res.json(page);
     } catch (error) {
         console.error('取得相簿照片失敗:', error);
         res.status(500).json({ error: '無法取得相簿照片' });
     }
 });
 
-app.put('/api/photos/:id', requireAuth, async (req, res) => {
+// ⭐ 搜尋：文字欄位與日期關鍵字解析
+const SEARCH_TEXT_FIELDS = ['originalFileName', 'caption', 'tags', 'exif.make', 'exif.model'];
+
+// 日期關鍵字：2024、2024-08、2024/8/1、2024年8月、2024年8月1日
+const SEARCH_DATE_PATTERN = /^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2}))?|年(?:(\d{1,2})月(?:(\d{1,2})日)?)?)?$/;
+
+// MongoDB 文字索引以空白斷詞，中日韓文字改用正規表示式比對
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 將搜尋字串拆成文字關鍵字與拍攝日期範圍 (YYYY-MM-DD，供 parsePhotoFilters 使用)
+function parseSearchQuery(q) {
+    const textTerms = [];
+    let dateRange = null;
+
+    for (const token of String(q).trim().split(/\s+/).filter(Boolean)) {
+        const match = token.match(SEARCH_DATE_PATTERN);
+        if (!match || dateRange) {
+            textTerms.push(token);
+            continue;
+        }
+
+        const year = Number(match[1]);
+        const month = Number(match[2] || match[4]) || null;
+        const day = Number(match[3] || match[5]) || null;
+        const pad = n => String(n).padStart(2, '0');
+
+        if (day) {
+            dateRange = { from: `${year}-${pad(month)}-${pad(day)}`, to: `${year}-${pad(month)}-${pad(day)}` };
+        } else if (month) {
+            const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            dateRange = { from: `${year}-${pad(month)}-01`, to: `${year}-${pad(month)}-${pad(lastDay)}` };
+        } else {
+            dateRange = { from: `${year}-01-01`, to: `${year}-12-31` };
+        }
+    }
+
+    return { textTerms, dateRange };
+}
+
+// 文字關鍵字的查詢條件：全部為英數時使用文字索引，含中文時每個關鍵字需符合任一欄位
+function buildSearchTextMatch(textTerms) {
+    if (textTerms.length === 0) return {};
+    if (!textTerms.some(term => CJK_PATTERN.test(term))) {
+        return { $text: { $search: textTerms.join(' ') } };
+    }
+    return {
+        $and: textTerms.map(term => ({
+            $or: SEARCH_TEXT_FIELDS.map(field => ({ [field]: { $regex: escapeRegex(term), $options: 'i' } }))
+        }))
+    };
+}
+
+// 跨相簿的照片列表 (搜尋、標籤) 附上相簿名稱
+async function attachAlbumNames(photos) {
+    const albumIds = [...new Set(photos.map(p => String(p.albumId)))];
+    const albums = await Album.find({ _id: { $in: albumIds } }).select('name');
+    const albumNames = new Map(albums.map(a => [a._id.toString(), a.name]));
+    photos.forEach(photo => {
+        photo.albumName = albumNames.get(String(photo.albumId)) || '';
+    });
+}
+
+// [GET] 我的最愛：跨所有相簿的最愛留影 (分頁參數同相簿照片)
+app.get('/api/favorites', requireAuth, async (req, res) => {
     try {
-        const { originalFileName } = req.body;
-        if (!originalFileName) {
-            return res.status(400).json({ error: '照片名稱不能為空' });
+        const page = await queryPhotoPage({ favorite: true }, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
+        await attachAlbumNames(page.photos);
+        res.json(page);
+    } catch (error) {
+        console.error('取得最愛留影失敗:', error);
+        res.status(500).json({ error: '無法取得最愛留影' });
+    }
+});
 
-        const photo = await Photo.findByIdAndUpdate(
-            req.params.id, 
-            { originalFileName: originalFileName }, 
-            { new: true, runValidators: true }
-        );
+// [GET] 全圖庫搜尋：?q= 加上與相簿照片相同的排序、篩選與分頁參數
+app.get('/api/search', requireAuth, async (req, res) => {
+    try {
+        const { textTerms, dateRange } = parseSearchQuery(req.query.q || '');
+        if (textTerms.length === 0 && !dateRange) {
+            return res.status(400).json({ error: '請輸入搜尋關鍵字' });
+        }
 
-        if (!photo) {
-            return res.status(404).json({ error: '找不到該照片' });
+        const page = await queryPhotoPage(buildSearchTextMatch(textTerms), {
+            sort: 'taken',
+            ...req.query,
+            ...(dateRange || {})
+        });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
 
-        res.json(photo);
+        await attachAlbumNames(page.photos);
+        res.json(page);
     } catch (error) {
-        console.error('更新照片名稱失敗:', error);
-        res.status(500).json({ error: '無法更新照片名稱' });
+        console.error('搜尋照片失敗:', error);
+        res.status(500).json({ error: '搜尋失敗' });
     }
 });
 
-app.patch('/api/photos/:id/move', requireAuth, async (req, res) => {
+// 依時間軸分組格式與 EXIF 預設時區產生分組鍵，例如 2024-08-15 或 2024-08
+function toTimelineKey(date, groupBy) {
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(EXIF_DEFAULT_TZ_OFFSET);
+    const offsetMinutes = match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+    const local = new Date(new Date(date).getTime() + offsetMinutes * 60 * 1000).toISOString();
+    return groupBy === 'month' ? local.slice(0, 7) : local.slice(0, 10);
+}
+
+// [GET] 時間軸：依拍攝日期分組，可指定 albumId 或不指定 (整個圖庫)
+// 分頁參數同相簿照片 (固定依拍攝日期排序)；同一組可能跨頁，前端以 key 合併，count 為該組的總數
+app.get('/api/timeline', requireAuth, async (req, res) => {
     try {
-        const { targetAlbumId } = req.body;
-        const photoId = req.params.id;
+        const { albumId, groupBy = 'day' } = req.query;
+        const format = TIMELINE_GROUP_FORMATS[groupBy];
+        if (!format) {
+            return res.status(400).json({ error: 'groupBy 只能是 day 或 month' });
+        }
 
-        if (!targetAlbumId) {
-            return res.status(400).json({ error: '請提供目標相簿 ID' });
+        const baseMatch = {};
+        if (albumId) {
+            if (!mongoose.isValidObjectId(albumId) || !(await Album.findById(albumId))) {
+                return res.status(404).json({ error: '找不到該相簿' });
+            }
+            baseMatch.albumId = new mongoose.Types.ObjectId(albumId);
         }
-        
-        const targetAlbum = await Album.findById(targetAlbumId);
-        if (!targetAlbum) {
-            return res.status(404).json({ error: '找不到目標相簿' });
+
+        const page = await queryPhotoPage(baseMatch, { ...req.query, sort: 'taken' });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
-        
-        const photo = await Photo.findById(photoId);
-        if (!photo) {
-            return res.status(404).json({ error: '找不到該照片' });
+
+        const groups = [];
+        for (const photo of page.photos) {
+            const key = toTimelineKey(photo.capturedAt, groupBy);
+            if (groups.length === 0 || groups[groups.length - 1].key !== key) {
+                groups.push({ key, count: 0, photos: [] });
+            }
+            groups[groups.length - 1].photos.push(photo);
         }
-        
-        const oldAlbumId = photo.albumId; 
-        
-        if (oldAlbumId && oldAlbumId.toString() === targetAlbumId) {
-            return res.status(200).json({ message: '照片已在目標相簿中', photo: photo });
+
+        // 只統計本頁出現的組別的總數 (套用相同篩選)
+        if (groups.length > 0) {
+            const counts = await Photo.aggregate([
+                { $match: { deletedAt: null, ...REVIEWED_PHOTO_MATCH, ...baseMatch } },
+                CAPTURED_AT_STAGE,
+                { $match: parsePhotoFilters(req.query).match },
+                { $group: { _id: { $dateToString: { format, date: '$capturedAt', timezone: EXIF_DEFAULT_TZ_OFFSET } }, count: { $sum: 1 } } },
+                { $match: { _id: { $in: groups.map(group => group.key) } } }
+            ]);
+            const countMap = new Map(counts.map(item => [item._id, item.count]));
+            groups.forEach(group => { group.count = countMap.get(group.key) || group.photos.length; });
         }
 
-        photo.albumId = targetAlbumId;
-        await photo.save();
+        res.json({ groupBy, groups, nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error('取得時間軸失敗:', error);
+        res.status(500).json({ error: '無法取得時間軸' });
+    }
+});
+
+// [GET] 相似照片分群：threshold 為 dHash 最大漢明距離 (預設 6，上限 16)
+app.get('/api/photos/similar', requireAuth, async (req, res) => {
+    try {
+        const threshold = Math.min(16, Math.max(0, parseInt(req.query.threshold, 10) || 6));
 
-        await Album.findByIdAndUpdate(oldAlbumId, { $inc: { photoCount: -1 } }); 
-        await Album.findByIdAndUpdate(targetAlbumId, { $inc: { photoCount: 1 } }); 
+        const photos = await Photo.find({ perceptualHash: { $exists: true }, deletedAt: null, ...REVIEWED_PHOTO_MATCH })
+            .select('originalFileName storageFileName githubUrl renditions width height albumId uploadedAt takenAt perceptualHash')
+            .populate('albumId', 'name')
+            .lean();
+        await signPhotoUrls(photos);
 
-        res.json({ message: '照片已成功移動', photo: photo });
+        const clusters = clusterSimilarPhotos(photos, threshold).map(group => {
+            // 建議保留解析度最高的一張，同解析度保留最早上傳的
+            const [keep] = [...group].sort((a, b) =>
+                ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0)) ||
+                new Date(a.uploadedAt) - new Date(b.uploadedAt)
+            );
+            return { suggestedKeepId: keep._id, photos: group };
+        });
 
+        res.json({ threshold, clusters });
     } catch (error) {
-        console.error('移動照片失敗:', error);
-        res.status(500).json({ error: '無法移動照片' });
+        console.error('取得相似照片失敗:', error);
+        res.status(500).json({ error: '無法取得相似照片' });
     }
 });
 
-app.delete('/api/photos/:id', requireAuth, async (req, res) => {
+const PHOTO_CAPTION_MAX_LENGTH = 500;
+
+// 整理可編輯欄位 (caption、favorite、rating，單張時另可改 originalFileName)；格式錯誤時回傳 { error }
+function parsePhotoUpdates(body, allowRename) {
+    const updates = {};
+
+    if (allowRename && body.originalFileName !== undefined) {
+        if (!String(body.originalFileName).trim()) return { error: '照片名稱不能為空' };
+        updates.originalFileName = String(body.originalFileName).trim();
+    }
+    if (body.caption !== undefined) {
+        const caption = String(body.caption ?? '').trim();
+        if (caption.length > PHOTO_CAPTION_MAX_LENGTH) {
+            return { error: `說明不能超過 ${PHOTO_CAPTION_MAX_LENGTH} 字` };
+        }
+        updates.caption = caption;
+    }
+    if (body.favorite !== undefined) {
+        if (typeof body.favorite !== 'boolean') return { error: 'favorite 必須是 true 或 false' };
+        updates.favorite = body.favorite;
+    }
+    if (body.rating !== undefined) {
+        if (!Number.isInteger(body.rating) || body.rating < 0 || body.rating > 5) {
+            return { error: 'rating 必須是 0 到 5 的整數' };
+        }
+        updates.rating = body.rating;
+    }
+
+    if (Object.keys(updates).length === 0) return { error: '沒有可更新的欄位' };
+    return { updates };
+}
+
+// [PUT] 更新單張照片：{ originalFileName?, caption?, favorite?, rating? }
+app.put('/api/photos/:id', requireAuth, async (req, res) => {
     try {
-        const photo = await Photo.findById(req.params.id);
+        const { updates, error } = parsePhotoUpdates(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const photo = await Photo.findByIdAndUpdate(
+            req.params.id, 
+            updates, 
+            { new: true, runValidators: true }
+        );
+
         if (!photo) {
             return res.status(404).json({ error: '找不到該照片' });
         }
-        
-        await deleteFileFromR2(photo.storageFileName); 
-        await Photo.findByIdAndDelete(req.params.id);
-        
-        if (photo.albumId) {
-            await Album.findByIdAndUpdate(photo.albumId, { $inc: { photoCount: -1 } });
-        }
-
-        res.json({ message: '照片已成功刪除' });
 
+        const [signedPhoto] = await signPhotoUrls([photo.toObject()]);
+        res.json(signedPhoto);
     } catch (error) {
-        const errorMessage = error.message; 
-        console.error('刪除照片失敗:', errorMessage);
-        res.status(500).json({ error: `無法刪除照片。錯誤訊息：${errorMessage}` });
+        console.error('更新照片失敗:', error);
+        res.status(500).json({ error: '無法更新照片' });
     }
 });
 
-app.post('/api/photos/bulkDelete', requireAuth, async (req, res) => {
+// [POST] 批量更新：{ photoIds, caption?, favorite?, rating? } (檔名不支援批量修改)
+app.post('/api/photos/bulkUpdate', requireAuth, async (req, res) => {
     const { photoIds } = req.body;
     if (!photoIds || !Array.isArray(photoIds) || photoIds.length === 0) {
-        return res.status(400).json({ error: '請提供有效的照片 ID 列表進行批量刪除。' });
+        return res.status(400).json({ error: '請提供有效的照片 ID 列表進行批量更新。' });
     }
 
-    const successes = [];
-    const failures = [];
-    
-    const photos = await Photo.find({ _id: { $in: photoIds } }).exec();
-    
-    for (const photo of photos) {
-        try {
-            await deleteFileFromR2(photo.storageFileName); 
-            await Photo.deleteOne({ _id: photo._id });
-            
-            if (photo.albumId) {
-                await Album.findByIdAndUpdate(photo.albumId, { $inc: { photoCount: -1 } });
-            }
+    const { updates, error } = parsePhotoUpdates(req.body, false);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-            successes.push(photo._id);
+    try {
+        const updateResult = await Photo.updateMany(
+            { _id: { $in: photoIds } },
+            { $set: updates },
+            { runValidators: true }
+        );
+
+        res.json({
+            message: `批量更新完成。共 ${updateResult.matchedCount} 張，實際變更 ${updateResult.modifiedCount} 張。`,
+            updates,
+            matchedCount: updateResult.matchedCount,
+            modifiedCount: updateResult.modifiedCount
+        });
+    } catch (error) {
+        console.error('批量更新照片失敗:', error);
+        res.status(500).json({ error: '無法批量更新照片' });
+    }
+});
+
+app.patch('/api/photos/:id/move', requireAuth, async (req, res) => {
+    try {
+        const { targetAlbumId } = req.body;
+        const photoId = req.params.id;
+
+        if (!targetAlbumId) {
+            return res.status(400).json({ error: '請提供目標相簿 ID' });
+        }
+        
+        const targetAlbum = await Album.findById(targetAlbumId);
+        if (!targetAlbum) {
+            return res.status(404).json({ error: '找不到目標相簿' });
+        }
+        
+        const result = await withTransaction(async session => {
+            const photo = await Photo.findOne({ _id: photoId, deletedAt: null }).session(session);
+            if (!photo) return { photo: null };
+
+            const oldAlbumId = photo.albumId; 
+            if (oldAlbumId && oldAlbumId.toString() === targetAlbumId) {
+                return { photo, moved: false };
+            }
+
+            photo.albumId = targetAlbumId;
+            await photo.save({ session });
+
+            if (oldAlbumId) {
+                await Album.findByIdAndUpdate(oldAlbumId, { $inc: { photoCount: -1 } }, { session }); 
+            }
+            await Album.findByIdAndUpdate(targetAlbumId, { $inc: { photoCount: 1 } }, { session }); 
+            return { photo, moved: true };
+        });
+
+        if (!result.photo) {
+            return res.status(404).json({ error: '找不到該照片' });
+        }
+
+        const [signedPhoto] = await signPhotoUrls([result.photo.toObject()]);
+        res.json({ message: result.moved ? '照片已成功移動' : '照片已在目標相簿中', photo: signedPhoto });
+
+    } catch (error) {
+        console.error('移動照片失敗:', error);
+        res.status(500).json({ error: '無法移動照片' });
+    }
+});
+
+// 將照片移到垃圾桶並從相簿照片數扣除；已在垃圾桶中則回傳 false
+// extraSet 會在同一個更新中一併寫入 (例如退回訪客上傳時的審核狀態)
+async function movePhotoToTrash(photo, extraSet = {}) {
+    return withTransaction(async session => {
+        const trashed = await Photo.findOneAndUpdate(
+            { _id: photo._id, deletedAt: null },
+            { $set: { ...extraSet, deletedAt: new Date() } },
+            { session }
+        );
+        if (!trashed) return false;
+
+        if (trashed.albumId) {
+            await Album.findByIdAndUpdate(trashed.albumId, { $inc: { photoCount: -1 } }, { session });
+        }
+        return true;
+    });
+}
+
+app.delete('/api/photos/:id', requireAuth, async (req, res) => {
+    try {
+        const photo = await Photo.findById(req.params.id);
+        if (!photo || !(await movePhotoToTrash(photo))) {
+            return res.status(404).json({ error: '找不到該照片' });
+        }
+
+        res.json({ message: `照片已移到垃圾桶，${TRASH_RETENTION_DAYS} 天後將永久刪除` });
+
+    } catch (error) {
+        const errorMessage = error.message; 
+        console.error('刪除照片失敗:', errorMessage);
+        res.status(500).json({ error: `無法刪除照片。錯誤訊息：${errorMessage}` });
+    }
+});
+
+app.post('/api/photos/bulkDelete', requireAuth, async (req, res) => {
+    const { photoIds } = req.body;
+    if (!photoIds || !Array.isArray(photoIds) || photoIds.length === 0) {
+        return res.status(400).json({ error: '請提供有效的照片 ID 列表進行批量刪除。' });
+    }
+
+    const successes = [];
+    const failures = [];
+    
+    const photos = await Photo.find({ _id: { $in: photoIds }, deletedAt: null }).exec();
+    const foundIds = new Set(photos.map(photo => photo._id.toString()));
+    photoIds.filter(id => !foundIds.has(String(id))).forEach(id => {
+        failures.push({ _id: id, error: '找不到該照片，或已在垃圾桶中' });
+    });
+    
+    for (const photo of photos) {
+        try {
+            if (await movePhotoToTrash(photo)) {
+                successes.push(photo._id);
+            } else {
+                failures.push({ _id: photo._id, error: '照片已在垃圾桶中' });
+            }
         } catch (error) {
             const errorMessage = error.message; 
             console.error(`刪除照片 ${photo._id} 失敗:`, errorMessage);
             
             failures.push({ 
                 _id: photo._id, 
-                error: `R2 刪除失敗: ${errorMessage}` 
+                error: `移到垃圾桶失敗: ${errorMessage}` 
             });
         }
     }
@@ -627,8 +2287,9 @@ app.post('/api/photos/bulkDelete', requireAuth, async (req, res) => {
         });
     }
 
-    res.status(200).json({
-        message: `批量刪除完成。成功刪除 ${successes.length} 張，失敗 ${failures.length} 張。`,
+    // 部分失敗時回傳 207，讓前端能分辨全部成功與部分成功
+    res.status(failures.length > 0 ? 207 : 200).json({
+        message: `批量刪除完成。${successes.length} 張已移到垃圾桶，失敗 ${failures.length} 張。`,
         successes,
         failures
     });
@@ -646,121 +2307,2280 @@ app.post('/api/photos/bulkMove', requireAuth, async (req, res) => {
         return res.status(404).json({ error: '找不到目標相簿。' });
     }
 
+    try {
+        // 照片與各相簿計數在同一個交易中更新，中途失敗時全部還原
+        const result = await withTransaction(async session => {
+            const photos = await Photo.find({ _id: { $in: photoIds }, deletedAt: null }).select('albumId').session(session);
+            const toMove = photos.filter(photo => !photo.albumId || photo.albumId.toString() !== targetAlbumId.toString());
+
+            const oldAlbumUpdates = new Map();
+            toMove.forEach(photo => {
+                if (!photo.albumId) return;
+                const oldId = photo.albumId.toString();
+                oldAlbumUpdates.set(oldId, (oldAlbumUpdates.get(oldId) || 0) + 1);
+            });
+
+            if (toMove.length > 0) {
+                await Photo.updateMany(
+                    { _id: { $in: toMove.map(photo => photo._id) } },
+                    { $set: { albumId: targetAlbumId } },
+                    { session }
+                );
+                await Album.bulkWrite([
+                    ...[...oldAlbumUpdates].map(([oldAlbumId, count]) => ({
+                        updateOne: { filter: { _id: oldAlbumId }, update: { $inc: { photoCount: -count } } }
+                    })),
+                    { updateOne: { filter: { _id: targetAlbumId }, update: { $inc: { photoCount: toMove.length } } } }
+                ], { session });
+            }
+
+            return { photos, toMove };
+        });
+
+        const foundIds = new Set(result.photos.map(photo => photo._id.toString()));
+        const movedIds = result.toMove.map(photo => photo._id);
+        const alreadyInAlbum = result.photos.length - movedIds.length;
+        const failures = photoIds
+            .filter(id => !foundIds.has(String(id)))
+            .map(id => ({ _id: id, error: '找不到該照片，或已在垃圾桶中' }));
+
+        if (result.photos.length === 0) {
+            return res.status(404).json({ error: '找不到任何指定的照片。', failures });
+        }
+
+        // 部分照片找不到時回傳 207，已在目標相簿中的照片視為成功
+        res.status(failures.length > 0 ? 207 : 200).json({
+            message: `批量移動完成。成功移動 ${movedIds.length} 張到「${targetAlbum.name}」` +
+                (alreadyInAlbum > 0 ? `，${alreadyInAlbum} 張原本就在此相簿` : '') +
+                (failures.length > 0 ? `，失敗 ${failures.length} 張` : '') + '。',
+            successes: result.photos.map(photo => photo._id),
+            failures
+        });
+    } catch (error) {
+        console.error('批量移動照片失敗:', error);
+        res.status(500).json({
+            error: `批量移動失敗，所有照片均未移動：${error.message}`,
+            failures: photoIds.map(id => ({ _id: id, error: error.message }))
+        });
+    }
+});
+
+// ============================================================
+// ⭐ 垃圾桶 API：刪除的照片保留 TRASH_RETENTION_DAYS 天後才從 R2 永久刪除
+// ============================================================
+
+// 永久刪除符合條件且在垃圾桶中的照片 (R2 檔案 + 資料庫紀錄)
+async function purgeTrashedPhotos(filter) {
     const successes = [];
     const failures = [];
-    
+    const photos = await Photo.find({ ...filter, deletedAt: { $ne: null } });
+
+    for (const photo of photos) {
+        try {
+            await deletePhotoFilesFromStorage(photo);
+            await Photo.deleteOne({ _id: photo._id });
+            successes.push(photo._id);
+        } catch (error) {
+            console.error(`永久刪除照片 ${photo._id} 失敗:`, error.message);
+            failures.push({ _id: photo._id, error: `R2 刪除失敗: ${error.message}` });
+        }
+    }
+
+    return { successes, failures };
+}
+
+// 定時工作：永久刪除超過保留期限的垃圾桶項目
+async function purgeExpiredTrash() {
     try {
-        const photos = await Photo.find({ _id: { $in: photoIds } }).select('albumId');
-        if (photos.length === 0) {
-            return res.status(404).json({ error: '找不到任何指定的照片。' });
+        const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const { successes, failures } = await purgeTrashedPhotos({ deletedAt: { $lt: cutoff } });
+        if (successes.length > 0 || failures.length > 0) {
+            console.log(`🗑️ 垃圾桶清理：永久刪除 ${successes.length} 張，失敗 ${failures.length} 張`);
         }
-        
-        const oldAlbumUpdates = new Map();
-        photos.forEach(photo => {
-            const oldId = photo.albumId ? photo.albumId.toString() : 'null'; 
-            
-            if (oldId !== targetAlbumId.toString()) { 
-                 oldAlbumUpdates.set(oldId, (oldAlbumUpdates.get(oldId) || 0) + 1);
-            }
+    } catch (error) {
+        console.error('垃圾桶定時清理失敗:', error);
+    }
+}
+
+// [GET] 垃圾桶內容 (預設依刪除時間新→舊，分頁參數同相簿照片)
+app.get('/api/trash', requireAuth, async (req, res) => {
+    try {
+        const page = await queryPhotoPage(
+            { deletedAt: { $ne: null } },
+            { sort: 'deleted', ...req.query }
+        );
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        await attachAlbumNames(page.photos);
+        page.photos.forEach(photo => {
+            photo.purgeAt = new Date(photo.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
         });
+        res.json({ ...page, retentionDays: TRASH_RETENTION_DAYS });
+    } catch (error) {
+        console.error('取得垃圾桶失敗:', error);
+        res.status(500).json({ error: '無法取得垃圾桶內容' });
+    }
+});
 
-        const updateResult = await Photo.updateMany(
-            { _id: { $in: photoIds }, albumId: { $ne: targetAlbumId } }, 
-            { $set: { albumId: targetAlbumId } }
+// [POST] 從垃圾桶還原：{ photoIds }，原相簿已刪除時還原到「未分類相簿」
+// 還原單張照片並更新相簿張數，兩者在同一個交易中完成；照片已不在垃圾桶時回傳 false
+async function restorePhotoFromTrash(photo, albumId) {
+    return withTransaction(async session => {
+        const restored = await Photo.findOneAndUpdate(
+            { _id: photo._id, deletedAt: { $ne: null }, ...REVIEWED_PHOTO_MATCH },
+            { $set: { deletedAt: null, albumId } },
+            { session }
         );
-        
-        const actualMovedCount = updateResult.modifiedCount;
-
-        if (updateResult.acknowledged) {
-            const decrementPromises = [];
-            for (const [oldAlbumId, count] of oldAlbumUpdates.entries()) {
-                if (oldAlbumId !== targetAlbumId.toString()) { 
-                     decrementPromises.push(
-                        Album.findByIdAndUpdate(oldAlbumId, { $inc: { photoCount: -count } })
-                    );
-                }
+        if (!restored) return false;
+
+        await Album.findByIdAndUpdate(albumId, { $inc: { photoCount: 1 } }, { session });
+        return true;
+    });
+}
+
+app.post('/api/trash/restore', requireAuth, async (req, res) => {
+    const { photoIds } = req.body;
+    if (!photoIds || !Array.isArray(photoIds) || photoIds.length === 0) {
+        return res.status(400).json({ error: '請提供有效的照片 ID 列表進行還原。' });
+    }
+
+    const successes = [];
+    const failures = [];
+
+    try {
+        const photos = await Photo.find({ _id: { $in: photoIds }, deletedAt: { $ne: null } });
+        const foundIds = new Set(photos.map(photo => photo._id.toString()));
+        photoIds.filter(id => !foundIds.has(String(id))).forEach(id => {
+            failures.push({ _id: id, error: '找不到該照片，或不在垃圾桶中' });
+        });
+
+        let defaultAlbum = await Album.findOne({ name: '未分類相簿' });
+        for (const photo of photos) {
+            // 退回的訪客上傳不會出現在垃圾桶中，也不能還原
+            if (photo.guestUpload && photo.guestUpload.status === 'REJECTED') {
+                failures.push({ _id: photo._id, error: '已退回的訪客上傳無法還原' });
+                continue;
             }
-            await Promise.allSettled(decrementPromises);
+            try {
+                // 原相簿已刪除時還原到未分類相簿
+                let albumId = photo.albumId && await Album.exists({ _id: photo.albumId }) ? photo.albumId : null;
+                if (!albumId) {
+                    if (!defaultAlbum) {
+                        defaultAlbum = new Album({ name: '未分類相簿' });
+                        await defaultAlbum.save();
+                    }
+                    albumId = defaultAlbum._id;
+                }
 
-            if (actualMovedCount > 0) {
-                 await Album.findByIdAndUpdate(targetAlbumId, { $inc: { photoCount: actualMovedCount } });
+                if (await restorePhotoFromTrash(photo, albumId)) {
+                    successes.push(photo._id);
+                } else {
+                    failures.push({ _id: photo._id, error: '照片已不在垃圾桶中' });
+                }
+            } catch (error) {
+                console.error(`還原照片 ${photo._id} 失敗:`, error.message);
+                failures.push({ _id: photo._id, error: error.message });
             }
-            
-            photos.forEach(p => successes.push(p._id));
-            
-        } else {
-            photoIds.forEach(id => failures.push({ _id: id, error: '資料庫更新失敗' }));
         }
-
     } catch (error) {
-        console.error('批量移動照片失敗:', error);
-        photoIds.forEach(id => failures.push({ _id: id, error: error.message }));
+        console.error('還原照片失敗:', error);
+        return res.status(500).json({ error: '無法還原照片' });
+    }
+
+    if (successes.length === 0 && failures.length > 0) {
+        return res.status(500).json({
+            error: `還原請求失敗。成功 ${successes.length} 張，失敗 ${failures.length} 張。`,
+            failures
+        });
     }
 
-    res.status(200).json({
-        message: `批量移動完成。成功移動 ${successes.length} 張到「${targetAlbum.name}」。`,
+    // 部分失敗時回傳 207，讓前端能分辨全部成功與部分成功
+    res.status(failures.length > 0 ? 207 : 200).json({
+        message: `還原完成。成功還原 ${successes.length} 張，失敗 ${failures.length} 張。`,
         successes,
         failures
     });
 });
 
-app.get('/api/tasks/status/:taskId', requireAuth, (req, res) => {
-    const taskId = req.params.taskId;
-    const task = mediaTasks[taskId];
+// [POST] 清空垃圾桶：{ photoIds } 只永久刪除指定項目，不提供則清空全部
+app.post('/api/trash/empty', requireAuth, async (req, res) => {
+    const { photoIds } = req.body || {};
+    if (photoIds !== undefined && (!Array.isArray(photoIds) || photoIds.length === 0)) {
+        return res.status(400).json({ error: 'photoIds 必須是非空的照片 ID 列表。' });
+    }
+
+    try {
+        const { successes, failures } = await purgeTrashedPhotos(photoIds ? { _id: { $in: photoIds } } : {});
+
+        if (successes.length === 0 && failures.length > 0) {
+            return res.status(500).json({
+                error: `永久刪除失敗。成功 ${successes.length} 張，失敗 ${failures.length} 張。`,
+                failures
+            });
+        }
 
-    if (!task) {
-        return res.status(404).json({ error: '找不到該任務ID，可能已過期或完成。' });
+        res.json({
+            message: `已永久刪除 ${successes.length} 張，失敗 ${failures.length} 張。`,
+            successes,
+            failures
+        });
+    } catch (error) {
+        console.error('清空垃圾桶失敗:', error);
+        res.status(500).json({ error: '無法清空垃圾桶' });
     }
-    
-    const { status, message, resultUrl, originalFileName } = task;
-    res.json({ status, message, resultUrl, originalFileName });
 });
 
-app.post('/api/tasks/submit-upload', requireAuth, upload.array('photos'), async (req, res) => {
-    if (!req.files || req.files.length === 0) {
-        return res.status(400).json({ error: '沒有收到照片檔案' });
+// ============================================================
+// ⭐ 標籤 API (批量操作沿用 bulkMove 的 photoIds 格式)
+// ============================================================
+
+const TAG_NAME_MAX_LENGTH = 50;
+
+// 整理標籤輸入：接受陣列或逗號分隔字串，去除空白與重複
+function normalizeTags(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(/[,，]/);
+    const names = list
+        .map(name => String(name).replace(/\s+/g, ' ').trim())
+        .filter(name => name.length > 0 && name.length <= TAG_NAME_MAX_LENGTH);
+    return [...new Set(names)];
+}
+
+// 刪除已沒有任何照片使用的標籤
+async function removeUnusedTags(names) {
+    for (const name of names) {
+        if (!(await Photo.exists({ tags: name }))) {
+            await Tag.deleteOne({ name });
+        }
     }
+}
 
-    const { targetAlbumId } = req.body; 
+// [GET] 標籤雲：所有標籤與使用次數 (次數多的在前)
+app.get('/api/tags', requireAuth, async (req, res) => {
+    try {
+        const counts = await Photo.aggregate([
+            { $match: { deletedAt: null, ...REVIEWED_PHOTO_MATCH } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } }
+        ]);
+        const countMap = new Map(counts.map(c => [c._id, c.count]));
+
+        const tags = (await Tag.find().select('name'))
+            .map(tag => ({ name: tag.name, count: countMap.get(tag.name) || 0 }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'zh-Hant'));
 
-    let defaultAlbum = await Album.findOne({ name: '未分類相簿' });
-    if (!defaultAlbum) {
-        defaultAlbum = new Album({ name: '未分類相簿' });
-        await defaultAlbum.save();
+        res.json(tags);
+    } catch (error) {
+        console.error('取得標籤列表失敗:', error);
+        res.status(500).json({ error: '無法取得標籤列表' });
     }
-    let targetAlbum = defaultAlbum; 
-    if (targetAlbumId) {
-        const foundAlbum = await Album.findById(targetAlbumId);
-        if (foundAlbum) {
-            targetAlbum = foundAlbum; 
+});
+
+// [GET] 某個標籤的照片 (分頁參數同相簿照片)
+app.get('/api/tags/:name/photos', requireAuth, async (req, res) => {
+    try {
+        const page = await queryPhotoPage({ tags: req.params.name }, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
+        await attachAlbumNames(page.photos);
+        res.json(page);
+    } catch (error) {
+        console.error('取得標籤照片失敗:', error);
+        res.status(500).json({ error: '無法取得標籤照片' });
     }
-    
-    const taskIds = [];
-    
-    for (const file of req.files) {
-        const originalnameFixed = Buffer.from(file.originalname, 'latin1').toString('utf8');
-        const taskId = `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`; 
-
-        mediaTasks[taskId] = {
-            status: 'PENDING',
-            message: '等待伺服器資源進行媒體處理...',
-            originalFileName: originalnameFixed, 
-            targetAlbum: targetAlbum,
-            file: file,
-            startTime: Date.now()
-        };
-        taskIds.push(taskId);
-        processMediaInBackground(taskId); 
+});
+
+// [POST] 批量新增標籤：{ photoIds, tags }
+app.post('/api/tags/bulkAdd', requireAuth, async (req, res) => {
+    const { photoIds } = req.body;
+    const tags = normalizeTags(req.body.tags);
+    if (!photoIds || !Array.isArray(photoIds) || photoIds.length === 0 || tags.length === 0) {
+        return res.status(400).json({ error: '請提供有效的照片 ID 列表與標籤。' });
     }
 
-    return res.json({ 
-        message: '檔案已提交，正在背景處理中。',
-        taskIds: taskIds
-    });
+    try {
+        for (const name of tags) {
+            await Tag.updateOne({ name }, { $setOnInsert: { name } }, { upsert: true });
+        }
+        const updateResult = await Photo.updateMany(
+            { _id: { $in: photoIds } },
+            { $addToSet: { tags: { $each: tags } } }
+        );
+
+        res.json({
+            message: `已為 ${updateResult.matchedCount} 張留影加上標籤：${tags.join('、')}`,
+            tags,
+            modifiedCount: updateResult.modifiedCount
+        });
+    } catch (error) {
+        console.error('批量新增標籤失敗:', error);
+        res.status(500).json({ error: '無法新增標籤' });
+    }
+});
+
+// [POST] 批量移除標籤：{ photoIds, tags }
+app.post('/api/tags/bulkRemove', requireAuth, async (req, res) => {
+    const { photoIds } = req.body;
+    const tags = normalizeTags(req.body.tags);
+    if (!photoIds || !Array.isArray(photoIds) || photoIds.length === 0 || tags.length === 0) {
+        return res.status(400).json({ error: '請提供有效的照片 ID 列表與標籤。' });
+    }
+
+    try {
+        const updateResult = await Photo.updateMany(
+            { _id: { $in: photoIds } },
+            { $pull: { tags: { $in: tags } } }
+        );
+        await removeUnusedTags(tags);
+
+        res.json({
+            message: `已從 ${updateResult.modifiedCount} 張留影移除標籤：${tags.join('、')}`,
+            tags,
+            modifiedCount: updateResult.modifiedCount
+        });
+    } catch (error) {
+        console.error('批量移除標籤失敗:', error);
+        res.status(500).json({ error: '無法移除標籤' });
+    }
+});
+
+// [PUT] 重新命名標籤 (套用到所有照片)：{ newName }，新名稱已存在時合併
+app.put('/api/tags/:name', requireAuth, async (req, res) => {
+    try {
+        const oldName = req.params.name;
+        const [newName] = normalizeTags([req.body.newName]);
+        if (!newName) {
+            return res.status(400).json({ error: '標籤名稱不能為空' });
+        }
+
+        const tag = await Tag.findOne({ name: oldName });
+        if (!tag) {
+            return res.status(404).json({ error: '找不到該標籤' });
+        }
+        if (newName === oldName) {
+            return res.json({ message: '標籤名稱未變更', modifiedCount: 0 });
+        }
+
+        // 已同時有新舊標籤的照片只需移除舊標籤，其餘照片直接改名
+        const mergeResult = await Photo.updateMany(
+            { tags: { $all: [oldName, newName] } },
+            { $pull: { tags: oldName } }
+        );
+        const renameResult = await Photo.updateMany(
+            { tags: oldName },
+            { $set: { 'tags.$[t]': newName } },
+            { arrayFilters: [{ t: oldName }] }
+        );
+
+        const merged = await Tag.exists({ name: newName });
+        if (merged) {
+            await Tag.deleteOne({ _id: tag._id });
+        } else {
+            tag.name = newName;
+            await tag.save();
+        }
+
+        res.json({
+            message: merged
+                ? `標籤「${oldName}」已合併到「${newName}」`
+                : `標籤「${oldName}」已更名為「${newName}」`,
+            modifiedCount: mergeResult.modifiedCount + renameResult.modifiedCount
+        });
+    } catch (error) {
+        console.error('重新命名標籤失敗:', error);
+        res.status(500).json({ error: '無法重新命名標籤' });
+    }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`後端伺服器已在 Port ${PORT} 啟動`);
-});
\ No newline at end of file
+// ============================================================
+// ⭐ 分享連結 API：管理 (需登入) 與公開檢視 (/api/public，依 token 授權)
+// ============================================================
+
+const SHARE_MAX_EXPIRY_DAYS = 365;
+
+// 公開檢視回傳的照片欄位 (不含 GPS、雜湊、上傳者等內部資訊)
+const SHARED_PHOTO_FIELDS = ['_id', 'originalFileName', 'githubUrl', 'width', 'height', 'renditions',
+    'duration', 'posterUrl', 'capturedAt', 'uploadedAt', 'caption'];
+
+function toShareJSON(share, albumName) {
+    return {
+        id: share._id,
+        albumId: share.albumId,
+        albumName,
+        sharePath: `/share.html?token=${share.token}`,
+        expiresAt: share.expiresAt,
+        hasPassword: !!share.passwordHash,
+        allowDownload: share.allowDownload,
+        revokedAt: share.revokedAt,
+        expired: !!share.expiresAt && share.expiresAt <= new Date(),
+        accessCount: share.accessCount,
+        lastAccessedAt: share.lastAccessedAt,
+        createdAt: share.createdAt
+    };
+}
+
+// 依 token 取得有效的分享連結；無效時回傳 { status, error }
+async function resolveShareLink(token) {
+    const share = await ShareLink.findOne({ token: String(token), revokedAt: null });
+    if (!share) return { status: 404, error: '分享連結不存在或已被撤銷' };
+    if (share.expiresAt && share.expiresAt <= new Date()) return { status: 410, error: '分享連結已過期' };
+    const album = await Album.findById(share.albumId);
+    if (!album) return { status: 404, error: '分享的相簿已被刪除' };
+    return { share, album };
+}
+
+function isShareUnlocked(req, share) {
+    if (!share.passwordHash) return true;
+    return !!(req.session && Array.isArray(req.session.unlockedShares) && req.session.unlockedShares.includes(share.token));
+}
+
+// 下載時的檔名：原始檔名搭配實際儲存的副檔名 (HEIC 轉檔後為 .jpg)
+function getDownloadFileName(photo) {
+    const storedExt = path.extname(photo.storageFileName);
+    const originalExt = path.extname(photo.originalFileName);
+    if (!storedExt || storedExt.toLowerCase() === originalExt.toLowerCase()) return photo.originalFileName;
+    return `${path.basename(photo.originalFileName, originalExt)}${storedExt}`;
+}
+
+// [POST] 建立分享連結：{ expiresInDays?, password?, allowDownload? }
+app.post('/api/albums/:id/shares', requireAuth, async (req, res) => {
+    try {
+        const album = await Album.findById(req.params.id);
+        if (!album) {
+            return res.status(404).json({ error: '找不到該相簿' });
+        }
+
+        const { expiresInDays, password, allowDownload = false } = req.body;
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+            const days = Number(expiresInDays);
+            if (!(days > 0 && days <= SHARE_MAX_EXPIRY_DAYS)) {
+                return res.status(400).json({ error: `有效天數需介於 1 到 ${SHARE_MAX_EXPIRY_DAYS} 天` });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+        if (password && String(password).length < 4) {
+            return res.status(400).json({ error: '分享密碼至少需要 4 個字元' });
+        }
+
+        const share = await ShareLink.create({
+            token: crypto.randomBytes(18).toString('base64url'),
+            albumId: album._id,
+            createdBy: req.user.id,
+            expiresAt,
+            passwordHash: password ? await hashPassword(String(password)) : undefined,
+            allowDownload: allowDownload === true
+        });
+
+        res.status(201).json(toShareJSON(share, album.name));
+    } catch (error) {
+        console.error('建立分享連結失敗:', error);
+        res.status(500).json({ error: '無法建立分享連結' });
+    }
+});
+
+// [GET] 分享連結列表：?albumId= 只列出該相簿 (含已撤銷與過期的連結)
+app.get('/api/shares', requireAuth, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.albumId) {
+            if (!mongoose.isValidObjectId(req.query.albumId)) {
+                return res.status(400).json({ error: '無效的相簿 ID' });
+            }
+            filter.albumId = req.query.albumId;
+        }
+
+        const shares = await ShareLink.find(filter).sort({ createdAt: -1 });
+        const albums = await Album.find({ _id: { $in: shares.map(s => s.albumId) } }).select('name');
+        const albumNames = new Map(albums.map(a => [a._id.toString(), a.name]));
+
+        res.json(shares.map(share => toShareJSON(share, albumNames.get(share.albumId.toString()) || '')));
+    } catch (error) {
+        console.error('取得分享連結失敗:', error);
+        res.status(500).json({ error: '無法取得分享連結' });
+    }
+});
+
+// [DELETE] 撤銷分享連結 (保留紀錄，連結立即失效)
+app.delete('/api/shares/:id', requireAuth, async (req, res) => {
+    try {
+        const share = await ShareLink.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+        if (!share) {
+            return res.status(404).json({ error: '找不到該分享連結或已撤銷' });
+        }
+        res.json({ message: '分享連結已撤銷' });
+    } catch (error) {
+        console.error('撤銷分享連結失敗:', error);
+        res.status(500).json({ error: '無法撤銷分享連結' });
+    }
+});
+
+// [GET] 公開：分享資訊 (相簿名稱、是否需要密碼、是否可下載)
+app.get('/api/public/shares/:token', async (req, res) => {
+    try {
+        const { share, album, status, error } = await resolveShareLink(req.params.token);
+        if (!share) {
+            return res.status(status).json({ error });
+        }
+
+        const unlocked = isShareUnlocked(req, share);
+        if (unlocked) {
+            await ShareLink.updateOne({ _id: share._id }, { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } });
+        }
+
+        res.json({
+            albumName: album.name,
+            requiresPassword: !!share.passwordHash,
+            unlocked,
+            allowDownload: share.allowDownload,
+            expiresAt: share.expiresAt
+        });
+    } catch (error) {
+        console.error('取得分享資訊失敗:', error);
+        res.status(500).json({ error: '無法取得分享資訊' });
+    }
+});
+
+// [POST] 公開：輸入分享密碼 { password }，失敗次數限制與登入相同但分開計算
+app.post('/api/public/shares/:token/unlock', async (req, res) => {
+    try {
+        const { share, status, error } = await resolveShareLink(req.params.token);
+        if (!share) {
+            return res.status(status).json({ error });
+        }
+        if (!share.passwordHash) {
+            return res.json({ success: true });
+        }
+
+        const attemptName = `share:${share._id}`;
+        const throttle = await getLoginThrottle(req.ip, attemptName, 'share');
+        if (throttle.retryAfterMs > 0) {
+            await recordLoginAttempt(req, attemptName, 'BLOCKED', 'share');
+            return sendLoginThrottled(res, throttle);
+        }
+
+        if (!(await verifyPassword(String(req.body.password || ''), share.passwordHash))) {
+            await recordLoginAttempt(req, attemptName, 'FAILED', 'share');
+            const next = await getLoginThrottle(req.ip, attemptName, 'share');
+            return res.status(401).json({ error: '分享密碼錯誤', retryAfter: Math.ceil(next.retryAfterMs / 1000) });
+        }
+
+        await recordLoginAttempt(req, attemptName, 'SUCCESS', 'share');
+        req.session.unlockedShares = [...new Set([...(req.session.unlockedShares || []), share.token])];
+        res.json({ success: true });
+    } catch (error) {
+        console.error('驗證分享密碼失敗:', error);
+        res.status(500).json({ error: '無法驗證分享密碼' });
+    }
+});
+
+// [GET] 公開：分享相簿的照片 (分頁參數同相簿照片，不含最愛 / 評分篩選)
+app.get('/api/public/shares/:token/photos', async (req, res) => {
+    try {
+        const { share, status, error } = await resolveShareLink(req.params.token);
+        if (!share) {
+            return res.status(status).json({ error });
+        }
+        if (!isShareUnlocked(req, share)) {
+            return res.status(401).json({ error: '請先輸入分享密碼' });
+        }
+
+        const { favorite, minRating, ...query } = req.query;
+        const page = await queryPhotoPage({ albumId: share.albumId }, query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const photos = page.photos.map(photo => Object.fromEntries(
+            SHARED_PHOTO_FIELDS.filter(field => photo[field] !== undefined).map(field => [field, photo[field]])
+        ));
+        res.json({ photos, nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error('取得分享照片失敗:', error);
+        res.status(500).json({ error: '無法取得分享照片' });
+    }
+});
+
+// [GET] 公開：下載原檔 (需分享連結允許下載)，以原始檔名存檔
+app.get('/api/public/shares/:token/photos/:photoId/download', async (req, res) => {
+    try {
+        const { share, status, error } = await resolveShareLink(req.params.token);
+        if (!share) {
+            return res.status(status).json({ error });
+        }
+        if (!isShareUnlocked(req, share)) {
+            return res.status(401).json({ error: '請先輸入分享密碼' });
+        }
+        if (!share.allowDownload) {
+            return res.status(403).json({ error: '此分享連結不允許下載' });
+        }
+
+        const photo = mongoose.isValidObjectId(req.params.photoId)
+            && await Photo.findOne({ _id: req.params.photoId, albumId: share.albumId, deletedAt: null, ...REVIEWED_PHOTO_MATCH });
+        if (!photo) {
+            return res.status(404).json({ error: '找不到該照片' });
+        }
+
+        const object = await getFileStreamFromStorage(photo.storageFileName);
+        res.set({
+            'Content-Type': object.ContentType || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(getDownloadFileName(photo))}`
+        });
+        if (object.ContentLength) res.set('Content-Length', String(object.ContentLength));
+        await pipeline(object.Body, res);
+    } catch (error) {
+        console.error('下載分享照片失敗:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: '無法下載照片' });
+        }
+    }
+});
+
+// ============================================================
+// ⭐ 打包下載：以 ZIP 串流輸出整本相簿或選取的留影，不在記憶體或磁碟暫存整個壓縮檔
+// ============================================================
+
+// 同一個 ZIP 內的重複檔名加上 (2)、(3)…，例如 IMG_0001 (2).jpg
+function dedupeFileName(fileName, usedNames) {
+    const ext = path.extname(fileName);
+    const stem = fileName.slice(0, fileName.length - ext.length);
+    let candidate = fileName;
+    for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+        candidate = `${stem} (${i})${ext}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// 加入一個 ZIP 項目並等到寫入完成；封存失敗或用戶端中斷下載時結束等待並關閉讀取串流
+function appendArchiveEntry(archive, res, source, data) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            archive.off('entry', onEntry);
+            archive.off('error', onError);
+            res.off('close', onClose);
+        };
+        const onEntry = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = error => {
+            cleanup();
+            if (typeof source.destroy === 'function') source.destroy();
+            reject(error);
+        };
+        const onClose = () => {
+            if (!res.writableFinished) onError(new Error('用戶端已中斷下載'));
+        };
+        archive.on('entry', onEntry);
+        archive.on('error', onError);
+        res.on('close', onClose);
+        archive.append(source, data);
+    });
+}
+
+// [POST] 下載 ZIP：{ albumId } 或 { photoIds }；也接受表單送出 (photoIds 以逗號分隔)，讓瀏覽器直接處理下載
+app.post('/api/download', requireViewer, express.urlencoded({ extended: false }), async (req, res) => {
+    const { albumId } = req.body;
+    const photoIds = Array.isArray(req.body.photoIds)
+        ? req.body.photoIds
+        : String(req.body.photoIds || '').split(',').filter(Boolean);
+
+    let filter, zipName;
+    try {
+        if (albumId) {
+            const album = mongoose.isValidObjectId(albumId) && await Album.findById(albumId);
+            if (!album) {
+                return res.status(404).json({ error: '找不到該相簿' });
+            }
+            filter = { albumId: album._id, deletedAt: null, ...REVIEWED_PHOTO_MATCH };
+            zipName = album.name;
+        } else if (photoIds.length > 0 && photoIds.every(id => mongoose.isValidObjectId(id))) {
+            filter = { _id: { $in: photoIds }, deletedAt: null };
+            zipName = `留影-${new Date().toISOString().slice(0, 10)}`;
+        } else {
+            return res.status(400).json({ error: '請提供 albumId 或有效的照片 ID 列表。' });
+        }
+
+        const photos = await Photo.find(filter)
+            .sort({ uploadedAt: 1 })
+            .select('originalFileName storageFileName takenAt uploadedAt');
+        if (photos.length === 0) {
+            return res.status(404).json({ error: '沒有可下載的留影' });
+        }
+
+        // 照片與影片本身已壓縮，使用 store 模式避免額外耗費 CPU
+        const archive = archiver('zip', { store: true });
+        let aborted = false;
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                aborted = true;
+                archive.abort();
+            }
+        });
+        archive.on('warning', error => console.warn('打包下載警告:', error.message));
+        archive.on('error', error => {
+            aborted = true;
+            console.error('打包下載失敗:', error);
+            res.destroy(error);
+        });
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(`${zipName}.zip`)}`
+        });
+        archive.pipe(res);
+
+        // 一次只開啟一個儲存空間的讀取串流，寫入 ZIP 後再處理下一個
+        const usedNames = new Set();
+        const failures = [];
+        for (const photo of photos) {
+            if (aborted) return;
+            const entryName = dedupeFileName(getDownloadFileName(photo), usedNames);
+            try {
+                const object = await getFileStreamFromStorage(photo.storageFileName);
+                await appendArchiveEntry(archive, res, object.Body, { name: entryName, date: photo.takenAt || photo.uploadedAt });
+            } catch (error) {
+                if (aborted) return;
+                console.error(`打包下載讀取 ${photo.storageFileName} 失敗:`, error.message);
+                failures.push(`${entryName}: ${error.message}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            archive.append(`以下檔案無法下載：\n${failures.join('\n')}\n`, { name: dedupeFileName('下載失敗.txt', usedNames) });
+        }
+        await archive.finalize();
+    } catch (error) {
+        console.error('打包下載失敗:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: '無法打包下載' });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// ============================================================
+// ⭐ 圖庫備份與還原：manifest.json 記錄相簿、照片與標籤，可選擇附上 media/ 原始物件
+// 還原時以 _id 覆寫 (upsert)，重複執行結果相同；網址一律改寫為目前儲存空間的網址
+// ============================================================
+
+const LIBRARY_MANIFEST_FORMAT = 'photo-library-backup';
+const LIBRARY_MANIFEST_VERSION = 1;
+const LIBRARY_IMPORT_BATCH_SIZE = 500;
+
+async function buildLibraryManifest() {
+    const [albums, photos, tags] = await Promise.all([
+        Album.find().lean(),
+        Photo.find().lean(),
+        Tag.find().lean()
+    ]);
+    return {
+        format: LIBRARY_MANIFEST_FORMAT,
+        version: LIBRARY_MANIFEST_VERSION,
+        exportedAt: new Date(),
+        storageBaseUrl: storage.publicUrl(''),
+        albums,
+        photos,
+        tags
+    };
+}
+
+// 照片引用的所有儲存物件 (主檔、縮圖、影片封面)，連結的重複照片只列一次
+function getPhotoStorageKeys(photos) {
+    const keys = new Set();
+    for (const photo of photos) {
+        keys.add(`images/${photo.storageFileName}`);
+        (photo.renditions || []).forEach(rendition => keys.add(`images/${rendition.storageFileName}`));
+        if (photo.posterStorageFileName) keys.add(`images/${photo.posterStorageFileName}`);
+    }
+    return [...keys];
+}
+
+// 依 manifest 重建相簿、照片與標籤；mediaDir 有值時先把 media/ 中目前儲存空間沒有的物件上傳
+async function importLibraryManifest(manifest, mediaDir) {
+    if (!manifest || manifest.format !== LIBRARY_MANIFEST_FORMAT || !Array.isArray(manifest.albums) || !Array.isArray(manifest.photos)) {
+        throw new Error('不是有效的圖庫備份檔');
+    }
+    if (manifest.version > LIBRARY_MANIFEST_VERSION) {
+        throw new Error(`備份檔版本 ${manifest.version} 比目前支援的版本新，請先更新伺服器`);
+    }
+
+    const summary = { albums: 0, photos: 0, tags: 0, mediaUploaded: 0, mediaSkipped: 0, mediaMissing: 0 };
+
+    if (mediaDir) {
+        for (const key of getPhotoStorageKeys(manifest.photos)) {
+            const localPath = path.join(mediaDir, key);
+            if (!fs.existsSync(localPath)) {
+                summary.mediaMissing++;
+            } else if (await storage.exists(key)) {
+                summary.mediaSkipped++;
+            } else {
+                await storage.put(localPath, key, LOCAL_CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream');
+                summary.mediaUploaded++;
+            }
+        }
+    }
+
+    // 相簿名稱不可重複：同名但 _id 不同 (例如新資料庫自動建立的未分類相簿) 時沿用既有相簿
+    const oldBaseUrl = manifest.storageBaseUrl;
+    const albumIdMap = new Map();
+    for (const { _id, __v, ...fields } of manifest.albums) {
+        const sameName = await Album.findOne({ name: fields.name, _id: { $ne: _id } });
+        const targetId = sameName ? sameName._id : _id;
+        albumIdMap.set(String(_id), targetId);
+
+        const coverUrl = oldBaseUrl && fields.coverUrl && fields.coverUrl.startsWith(oldBaseUrl)
+            ? storage.publicUrl(fields.coverUrl.slice(oldBaseUrl.length))
+            : fields.coverUrl;
+        await Album.updateOne({ _id: targetId }, { $set: { ...fields, coverUrl } }, { upsert: true });
+        summary.albums++;
+    }
+
+    for (let i = 0; i < manifest.photos.length; i += LIBRARY_IMPORT_BATCH_SIZE) {
+        const ops = manifest.photos.slice(i, i + LIBRARY_IMPORT_BATCH_SIZE).map(({ _id, __v, ...fields }) => ({
+            updateOne: {
+                filter: { _id },
+                update: {
+                    $set: {
+                        ...fields,
+                        albumId: albumIdMap.get(String(fields.albumId)) || fields.albumId,
+                        githubUrl: storage.publicUrl(`images/${fields.storageFileName}`),
+                        posterUrl: fields.posterStorageFileName ? storage.publicUrl(`images/${fields.posterStorageFileName}`) : fields.posterUrl,
+                        renditions: (fields.renditions || []).map(rendition => ({
+                            ...rendition,
+                            url: storage.publicUrl(`images/${rendition.storageFileName}`)
+                        }))
+                    }
+                },
+                upsert: true
+            }
+        }));
+        await Photo.bulkWrite(ops, { ordered: false });
+        summary.photos += ops.length;
+    }
+
+    for (const tag of manifest.tags || []) {
+        await Tag.updateOne({ name: tag.name }, { $setOnInsert: { name: tag.name, createdAt: tag.createdAt } }, { upsert: true });
+        summary.tags++;
+    }
+
+    // 相簿數量以實際照片重新計算 (不含垃圾桶)
+    const targetAlbumIds = [...new Set([...albumIdMap.values()].map(String))];
+    for (const albumId of targetAlbumIds) {
+        const photoCount = await Photo.countDocuments({ albumId, deletedAt: null });
+        await Album.updateOne({ _id: albumId }, { $set: { photoCount } });
+    }
+
+    return summary;
+}
+
+// [GET] 匯出圖庫：預設下載 manifest.json；?media=true 時以 ZIP 串流附上所有媒體物件
+app.get('/api/admin/export', requireAdmin, async (req, res) => {
+    try {
+        const manifest = await buildLibraryManifest();
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (req.query.media !== 'true') {
+            res.set('Content-Disposition', `attachment; filename="library-${date}.json"`);
+            return res.json(manifest);
+        }
+
+        const archive = archiver('zip', { store: true });
+        let aborted = false;
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                aborted = true;
+                archive.abort();
+            }
+        });
+        archive.on('error', error => {
+            aborted = true;
+            console.error('匯出圖庫失敗:', error);
+            res.destroy(error);
+        });
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="library-${date}.zip"`
+        });
+        archive.pipe(res);
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+        for (const key of getPhotoStorageKeys(manifest.photos)) {
+            if (aborted) return;
+            try {
+                const object = await storage.getStream(key);
+                await appendArchiveEntry(archive, res, object.Body, { name: `media/${key}` });
+            } catch (error) {
+                if (aborted) return;
+                console.error(`匯出 ${key} 失敗:`, error.message);
+            }
+        }
+        await archive.finalize();
+    } catch (error) {
+        console.error('匯出圖庫失敗:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: '無法匯出圖庫' });
+        }
+    }
+});
+
+// [POST] 還原圖庫資料：上傳 manifest.json (欄位 manifest)；媒體檔請先以 node server.js import <目錄> 還原或已存在於儲存空間
+app.post('/api/admin/import', requireAdmin, upload.single('manifest'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: '請上傳 manifest.json' });
+    }
+
+    try {
+        const manifest = JSON.parse(await fs.promises.readFile(req.file.path, 'utf8'));
+        const summary = await importLibraryManifest(manifest, null);
+        res.json({
+            message: `已還原 ${summary.albums} 本相簿、${summary.photos} 則留影、${summary.tags} 個標籤`,
+            summary
+        });
+    } catch (error) {
+        console.error('還原圖庫失敗:', error);
+        res.status(400).json({ error: `還原失敗: ${error.message}` });
+    } finally {
+        fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+    }
+});
+
+// ============================================================
+// ⭐ 一致性檢查：以照片紀錄重新計算相簿數量，比對 images/ 物件與照片引用，repair 時修正數量並清除孤兒物件
+// ============================================================
+
+// 最近一段時間內建立的物件可能是處理中任務剛上傳、尚未寫入照片紀錄的檔案，不視為孤兒
+const ORPHAN_OBJECT_GRACE_MS = 60 * 60 * 1000;
+
+async function checkLibraryConsistency({ repair = false } = {}) {
+    const report = {
+        checkedAt: new Date(),
+        repair,
+        photosWithoutAlbum: [],
+        albumCounts: [],
+        orphanObjects: [],
+        missingObjects: [],
+        repairs: { photosMoved: 0, countsFixed: 0, orphansDeleted: 0, errors: [] }
+    };
+
+    // 1. 指向不存在相簿的照片 (repair 時移到未分類相簿)
+    const albumIds = (await Album.find().select('_id').lean()).map(album => album._id);
+    const homelessPhotos = await Photo.find({ albumId: { $nin: albumIds }, deletedAt: null }).select('originalFileName albumId').lean();
+    report.photosWithoutAlbum = homelessPhotos.map(photo => ({ photoId: photo._id, originalFileName: photo.originalFileName, albumId: photo.albumId }));
+    if (repair && homelessPhotos.length > 0) {
+        let defaultAlbum = await Album.findOne({ name: '未分類相簿' });
+        if (!defaultAlbum) {
+            defaultAlbum = await Album.create({ name: '未分類相簿' });
+        }
+        const result = await Photo.updateMany({ _id: { $in: homelessPhotos.map(photo => photo._id) } }, { $set: { albumId: defaultAlbum._id } });
+        report.repairs.photosMoved = result.modifiedCount;
+    }
+
+    // 2. 相簿數量：以未在垃圾桶的照片重新計算
+    const albums = await Album.find().select('name photoCount').lean();
+    const counts = await Photo.aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: '$albumId', count: { $sum: 1 } } }
+    ]);
+    const countByAlbum = new Map(counts.map(item => [String(item._id), item.count]));
+    for (const album of albums) {
+        const actual = countByAlbum.get(String(album._id)) || 0;
+        if (album.photoCount === actual) continue;
+
+        report.albumCounts.push({ albumId: album._id, name: album.name, stored: album.photoCount, actual });
+        if (repair) {
+            await Album.updateOne({ _id: album._id }, { $set: { photoCount: actual } });
+            report.repairs.countsFixed++;
+        }
+    }
+
+    // 3. 比對儲存空間：孤兒物件 (沒有照片引用) 與遺失物件 (照片引用但不存在)；垃圾桶中的照片仍算引用
+    const photos = await Photo.find().select('originalFileName storageFileName renditions posterStorageFileName').lean();
+    const referencedKeys = new Set(getPhotoStorageKeys(photos));
+    const existingKeys = new Set();
+    const graceCutoff = Date.now() - ORPHAN_OBJECT_GRACE_MS;
+    for await (const object of storage.list('images/')) {
+        existingKeys.add(object.key);
+        if (!referencedKeys.has(object.key) && new Date(object.lastModified).getTime() < graceCutoff) {
+            report.orphanObjects.push({ key: object.key, size: object.size, lastModified: object.lastModified });
+        }
+    }
+
+    for (const photo of photos) {
+        const missingKeys = getPhotoStorageKeys([photo]).filter(key => !existingKeys.has(key));
+        if (missingKeys.length > 0) {
+            report.missingObjects.push({ photoId: photo._id, originalFileName: photo.originalFileName, missingKeys });
+        }
+    }
+
+    if (repair) {
+        for (const orphan of report.orphanObjects) {
+            // 刪除前再確認一次，避免檢查期間剛好有照片引用此檔案
+            const fileName = orphan.key.slice('images/'.length);
+            const referenced = await Photo.exists({
+                $or: [{ storageFileName: fileName }, { 'renditions.storageFileName': fileName }, { posterStorageFileName: fileName }]
+            });
+            if (referenced) continue;
+            try {
+                await storage.delete(orphan.key);
+                report.repairs.orphansDeleted++;
+            } catch (error) {
+                report.repairs.errors.push({ key: orphan.key, error: error.message });
+            }
+        }
+    }
+
+    return report;
+}
+
+// [GET] 一致性檢查報告 (不修改任何資料)
+app.get('/api/admin/consistency', requireAdmin, async (req, res) => {
+    try {
+        res.json(await checkLibraryConsistency());
+    } catch (error) {
+        console.error('一致性檢查失敗:', error);
+        res.status(500).json({ error: '一致性檢查失敗' });
+    }
+});
+
+// [POST] 一致性檢查並修復：修正相簿數量、把沒有相簿的照片移到未分類相簿、刪除孤兒物件 (遺失的物件無法修復，只會列出)
+app.post('/api/admin/consistency/repair', requireAdmin, async (req, res) => {
+    try {
+        res.json(await checkLibraryConsistency({ repair: true }));
+    } catch (error) {
+        console.error('一致性修復失敗:', error);
+        res.status(500).json({ error: '一致性修復失敗' });
+    }
+});
+
+// ============================================================
+// ⭐ 成員管理 API (僅 admin)
+// ============================================================
+
+function createInviteToken(user) {
+    user.inviteToken = crypto.randomBytes(24).toString('base64url');
+    user.inviteExpiresAt = new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    return `/login.html?invite=${user.inviteToken}`;
+}
+
+// 降級、停用或刪除管理員前確認仍有人能管理成員 (有共用密碼時一律可以)
+async function isLastAdmin(user) {
+    if (PHOTO_PASSWORD || user.role !== 'admin') return false;
+    const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: 'admin',
+        disabled: false,
+        passwordHash: { $exists: true }
+    });
+    return otherAdmins === 0;
+}
+
+// [GET] 成員列表
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const users = await User.find().sort({ createdAt: 1 });
+        res.json(users.map(user => user.toPublicJSON()));
+    } catch (error) {
+        console.error('取得成員列表失敗:', error);
+        res.status(500).json({ error: '無法取得成員列表' });
+    }
+});
+
+// [POST] 邀請成員：{ username, displayName, role }，回傳邀請連結路徑
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const username = String(req.body.username || '').trim().toLowerCase();
+        const { displayName = '', role = 'viewer' } = req.body;
+
+        if (!/^[a-z0-9._-]{2,32}$/.test(username)) {
+            return res.status(400).json({ error: '帳號需為 2~32 個英數字、點、底線或連字號' });
+        }
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'role 只能是 viewer、editor 或 admin' });
+        }
+        if (await User.exists({ username })) {
+            return res.status(409).json({ error: '帳號已存在' });
+        }
+
+        const user = new User({ username, displayName, role });
+        const invitePath = createInviteToken(user);
+        await user.save();
+
+        res.status(201).json({ user: user.toPublicJSON(), invitePath });
+    } catch (error) {
+        console.error('邀請成員失敗:', error);
+        res.status(500).json({ error: '無法邀請成員' });
+    }
+});
+
+// [PUT] 更新成員：{ displayName?, role?, disabled? }
+app.put('/api/admin/users/:id', requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: '找不到該成員' });
+        }
+
+        const { displayName, role, disabled } = req.body;
+        if (role !== undefined && !USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'role 只能是 viewer、editor 或 admin' });
+        }
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({ error: 'disabled 必須是 true 或 false' });
+        }
+
+        const losesAdmin = (role !== undefined && role !== 'admin') || disabled === true;
+        if (losesAdmin && await isLastAdmin(user)) {
+            return res.status(400).json({ error: '至少需要保留一位管理員' });
+        }
+
+        if (displayName !== undefined) user.displayName = String(displayName).trim();
+        if (role !== undefined) user.role = role;
+        if (disabled !== undefined) user.disabled = disabled;
+        await user.save();
+
+        res.json(user.toPublicJSON());
+    } catch (error) {
+        console.error('更新成員失敗:', error);
+        res.status(500).json({ error: '無法更新成員' });
+    }
+});
+
+// [POST] 重新產生邀請連結 (同時清除舊密碼，可用於重設密碼)
+app.post('/api/admin/users/:id/invite', requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: '找不到該成員' });
+        }
+        if (user.passwordHash && await isLastAdmin(user)) {
+            return res.status(400).json({ error: '至少需要保留一位管理員' });
+        }
+
+        user.passwordHash = undefined;
+        const invitePath = createInviteToken(user);
+        await user.save();
+
+        res.json({ user: user.toPublicJSON(), invitePath });
+    } catch (error) {
+        console.error('重新產生邀請連結失敗:', error);
+        res.status(500).json({ error: '無法產生邀請連結' });
+    }
+});
+
+// [GET] 登入失敗紀錄：?limit= (預設 100，最多 500)，另附目前時間窗內的失敗統計
+app.get('/api/admin/login-attempts', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+        const attempts = await LoginAttempt.find({ result: { $in: ['FAILED', 'BLOCKED'] } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('-__v');
+
+        const windowStart = new Date(Date.now() - LOGIN_FAILURE_WINDOW_MS);
+        const recentByIp = await LoginAttempt.aggregate([
+            { $match: { result: 'FAILED', createdAt: { $gte: windowStart } } },
+            { $group: { _id: '$ip', failures: { $sum: 1 }, lastAttemptAt: { $max: '$createdAt' } } },
+            { $sort: { failures: -1 } }
+        ]);
+
+        res.json({
+            attempts,
+            recent: {
+                windowMinutes: LOGIN_FAILURE_WINDOW_MS / 60000,
+                totalFailures: recentByIp.reduce((sum, item) => sum + item.failures, 0),
+                globalDelayAfter: LOGIN_GLOBAL_DELAY_AFTER_FAILURES,
+                lockoutAfter: LOGIN_LOCKOUT_AFTER_FAILURES,
+                byIp: recentByIp.map(item => ({ ip: item._id, failures: item.failures, lastAttemptAt: item.lastAttemptAt }))
+            }
+        });
+    } catch (error) {
+        console.error('取得登入紀錄失敗:', error);
+        res.status(500).json({ error: '無法取得登入紀錄' });
+    }
+});
+
+// [DELETE] 刪除成員 (已上傳的留影保留，uploadedBy 仍指向原 ID)
+app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: '找不到該成員' });
+        }
+        if (req.user.id && req.user.id.toString() === user._id.toString()) {
+            return res.status(400).json({ error: '不能刪除自己的帳號' });
+        }
+        if (await isLastAdmin(user)) {
+            return res.status(400).json({ error: '至少需要保留一位管理員' });
+        }
+
+        await User.deleteOne({ _id: user._id });
+        res.json({ message: `成員「${user.username}」已刪除` });
+    } catch (error) {
+        console.error('刪除成員失敗:', error);
+        res.status(500).json({ error: '無法刪除成員' });
+    }
+});
+
+// ============================================================
+// ⭐ 訪客上傳連結：上傳沿用 /api/tasks/submit-upload (?guestToken=)，由擁有者審核
+// ============================================================
+
+const GUEST_LINK_MAX_EXPIRY_DAYS = 90;
+const GUEST_UPLOADER_NAME_MAX_LENGTH = 50;
+
+// 訪客填寫的名稱與檔名會顯示在擁有者與分享頁面：移除控制字元與 HTML / 引號字元
+function sanitizeGuestText(value) {
+    return String(value || '').replace(/[\u0000-\u001f\u007f<>"'`\\]/g, '').trim();
+}
+
+function toGuestLinkJSON(link, albumName) {
+    return {
+        id: link._id,
+        albumId: link.albumId,
+        albumName,
+        label: link.label,
+        uploadPath: `/guest-upload.html?token=${link.token}`,
+        expiresAt: link.expiresAt,
+        expired: link.expiresAt <= new Date(),
+        revokedAt: link.revokedAt,
+        maxFiles: link.maxFiles,
+        maxBytes: link.maxBytes,
+        usedFiles: link.usedFiles,
+        usedBytes: link.usedBytes,
+        createdAt: link.createdAt
+    };
+}
+
+// 依 token 取得有效的訪客上傳連結；無效時回傳 { status, error }
+async function resolveGuestLink(token) {
+    const link = await GuestUploadLink.findOne({ token: String(token), revokedAt: null });
+    if (!link) return { status: 404, error: '上傳連結不存在或已被撤銷' };
+    if (link.expiresAt <= new Date()) return { status: 410, error: '上傳連結已過期' };
+    const album = await Album.findById(link.albumId);
+    if (!album) return { status: 404, error: '目標相簿已被刪除' };
+    return { link, album };
+}
+
+function getGuestQuotaRemaining(link) {
+    return {
+        files: link.maxFiles === null ? null : Math.max(0, link.maxFiles - link.usedFiles),
+        bytes: link.maxBytes === null ? null : Math.max(0, link.maxBytes - link.usedBytes)
+    };
+}
+
+// 原子性地扣除配額；超過上限時回傳 null
+async function reserveGuestQuota(link, fileCount, byteCount) {
+    const filter = { _id: link._id, revokedAt: null, expiresAt: { $gt: new Date() } };
+    if (link.maxFiles !== null) filter.usedFiles = { $lte: link.maxFiles - fileCount };
+    if (link.maxBytes !== null) filter.usedBytes = { $lte: link.maxBytes - byteCount };
+    return GuestUploadLink.findOneAndUpdate(
+        filter,
+        { $inc: { usedFiles: fileCount, usedBytes: byteCount } },
+        { new: true }
+    );
+}
+
+// 上傳相關路由的權限：帶 guestToken 時以訪客身分通過 (在 multer 之前先擋下超過容量的請求)，否則需登入
+async function requireUploadAccess(req, res, next) {
+    if (!req.query.guestToken) {
+        return requireAuth(req, res, next);
+    }
+
+    let resolved;
+    try {
+        resolved = await resolveGuestLink(req.query.guestToken);
+    } catch (error) {
+        console.error('驗證訪客上傳連結失敗:', error);
+        return res.status(500).json({ error: '無法驗證訪客上傳連結' });
+    }
+    const { link, album, status, error } = resolved;
+    if (!link) {
+        return res.status(status).json({ error });
+    }
+
+    const remaining = getGuestQuotaRemaining(link);
+    const contentLength = parseInt(req.get('content-length'), 10) || 0;
+    if (req.method === 'POST' && (remaining.files === 0 || (remaining.bytes !== null && contentLength > remaining.bytes))) {
+        return res.status(413).json({ error: '已超過此上傳連結的數量或容量上限', remaining });
+    }
+
+    req.guestLink = link;
+    req.guestAlbum = album;
+    req.user = null;
+    next();
+}
+
+// [POST] 建立訪客上傳連結：{ label?, expiresInDays, maxFiles?, maxMegabytes? }
+app.post('/api/albums/:id/guest-links', requireAuth, async (req, res) => {
+    try {
+        const album = await Album.findById(req.params.id);
+        if (!album) {
+            return res.status(404).json({ error: '找不到該相簿' });
+        }
+
+        const { label = '', expiresInDays = 7, maxFiles, maxMegabytes } = req.body;
+        const days = Number(expiresInDays);
+        if (!(days > 0 && days <= GUEST_LINK_MAX_EXPIRY_DAYS)) {
+            return res.status(400).json({ error: `有效天數需介於 1 到 ${GUEST_LINK_MAX_EXPIRY_DAYS} 天` });
+        }
+
+        const parseLimit = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+        const fileLimit = parseLimit(maxFiles);
+        const megabyteLimit = parseLimit(maxMegabytes);
+        if ((fileLimit !== null && !(Number.isInteger(fileLimit) && fileLimit > 0))
+            || (megabyteLimit !== null && !(megabyteLimit > 0))) {
+            return res.status(400).json({ error: '數量與容量上限必須是正數' });
+        }
+
+        const link = await GuestUploadLink.create({
+            token: crypto.randomBytes(18).toString('base64url'),
+            albumId: album._id,
+            createdBy: req.user.id,
+            label: String(label),
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+            maxFiles: fileLimit,
+            maxBytes: megabyteLimit === null ? null : Math.round(megabyteLimit * 1024 * 1024)
+        });
+
+        res.status(201).json(toGuestLinkJSON(link, album.name));
+    } catch (error) {
+        console.error('建立訪客上傳連結失敗:', error);
+        res.status(500).json({ error: '無法建立訪客上傳連結' });
+    }
+});
+
+// [GET] 訪客上傳連結列表：?albumId=
+app.get('/api/guest-links', requireAuth, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.albumId) {
+            if (!mongoose.isValidObjectId(req.query.albumId)) {
+                return res.status(400).json({ error: '無效的相簿 ID' });
+            }
+            filter.albumId = req.query.albumId;
+        }
+
+        const links = await GuestUploadLink.find(filter).sort({ createdAt: -1 });
+        const albums = await Album.find({ _id: { $in: links.map(l => l.albumId) } }).select('name');
+        const albumNames = new Map(albums.map(a => [a._id.toString(), a.name]));
+
+        res.json(links.map(link => toGuestLinkJSON(link, albumNames.get(link.albumId.toString()) || '')));
+    } catch (error) {
+        console.error('取得訪客上傳連結失敗:', error);
+        res.status(500).json({ error: '無法取得訪客上傳連結' });
+    }
+});
+
+// [DELETE] 撤銷訪客上傳連結 (已上傳的留影不受影響)
+app.delete('/api/guest-links/:id', requireAuth, async (req, res) => {
+    try {
+        const link = await GuestUploadLink.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        if (!link) {
+            return res.status(404).json({ error: '找不到該上傳連結或已撤銷' });
+        }
+        res.json({ message: '上傳連結已撤銷' });
+    } catch (error) {
+        console.error('撤銷訪客上傳連結失敗:', error);
+        res.status(500).json({ error: '無法撤銷上傳連結' });
+    }
+});
+
+// [GET] 公開：上傳連結資訊 (目標相簿與剩餘配額)
+app.get('/api/public/guest-uploads/:token', async (req, res) => {
+    try {
+        const { link, album, status, error } = await resolveGuestLink(req.params.token);
+        if (!link) {
+            return res.status(status).json({ error });
+        }
+        res.json({
+            albumName: album.name,
+            label: link.label,
+            expiresAt: link.expiresAt,
+            remaining: getGuestQuotaRemaining(link)
+        });
+    } catch (error) {
+        console.error('取得上傳連結資訊失敗:', error);
+        res.status(500).json({ error: '無法取得上傳連結資訊' });
+    }
+});
+
+// [GET] 待審核的訪客上傳 (分頁參數同相簿照片)：?albumId= 可只看單一相簿
+app.get('/api/guest-uploads', requireAuth, async (req, res) => {
+    try {
+        const match = { 'guestUpload.status': 'PENDING' };
+        if (req.query.albumId) {
+            if (!mongoose.isValidObjectId(req.query.albumId)) {
+                return res.status(400).json({ error: '無效的相簿 ID' });
+            }
+            match.albumId = new mongoose.Types.ObjectId(req.query.albumId);
+        }
+
+        const page = await queryPhotoPage(match, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        await attachAlbumNames(page.photos);
+        res.json(page);
+    } catch (error) {
+        console.error('取得待審核上傳失敗:', error);
+        res.status(500).json({ error: '無法取得待審核的上傳' });
+    }
+});
+
+// [POST] 審核訪客上傳：{ photoIds, action: 'approve' | 'reject' }，退回的留影移到垃圾桶
+app.post('/api/guest-uploads/review', requireAuth, async (req, res) => {
+    const { photoIds, action } = req.body;
+    if (!photoIds || !Array.isArray(photoIds) || photoIds.length === 0 || !['approve', 'reject'].includes(action)) {
+        return res.status(400).json({ error: '請提供有效的照片 ID 列表與審核動作 (approve 或 reject)。' });
+    }
+
+    const successes = [];
+    const failures = [];
+
+    try {
+        const photos = await Photo.find({ _id: { $in: photoIds }, 'guestUpload.status': 'PENDING', deletedAt: null });
+        for (const photo of photos) {
+            try {
+                // 退回時移到垃圾桶、扣除相簿張數與寫入審核狀態在同一個交易中完成
+                const reviewed = action === 'reject'
+                    ? await movePhotoToTrash(photo, { 'guestUpload.status': 'REJECTED' })
+                    : (await Photo.updateOne(
+                        { _id: photo._id, 'guestUpload.status': 'PENDING', deletedAt: null },
+                        { $set: { 'guestUpload.status': 'APPROVED' } }
+                    )).modifiedCount > 0;
+                if (!reviewed) {
+                    failures.push({ _id: photo._id, error: '照片已被審核或移到垃圾桶' });
+                    continue;
+                }
+                successes.push(photo._id);
+            } catch (error) {
+                console.error(`審核照片 ${photo._id} 失敗:`, error.message);
+                failures.push({ _id: photo._id, error: error.message });
+            }
+        }
+    } catch (error) {
+        console.error('審核訪客上傳失敗:', error);
+        return res.status(500).json({ error: '無法審核訪客上傳' });
+    }
+
+    res.json({
+        message: `審核完成。${action === 'approve' ? '保留' : '退回'} ${successes.length} 張，失敗 ${failures.length} 張。`,
+        successes,
+        failures
+    });
+});
+
+// ============================================================
+// ⭐ 瀏覽器直傳 R2 (presigned multipart)：start 取得各分段網址 → 瀏覽器 PUT 分段 → complete 建立背景任務
+// ============================================================
+
+// 與 multer 相同的暫存檔命名，originalname 以 latin1 保存以沿用既有的檔名解碼
+function toMulterFileName(fileName) {
+    return Buffer.from(fileName, 'utf8').toString('latin1');
+}
+
+// 背景任務的暫存檔路徑一律由伺服器產生，不使用用戶端提供的檔名 (避免 ../ 寫到 MEDIA_TMP_DIR 以外)
+function createTaskTempPath(prefix) {
+    return path.join(MEDIA_TMP_DIR, `${prefix}-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`);
+}
+
+function isStagingKey(key) {
+    return typeof key === 'string' && key.startsWith(STAGING_PREFIX) && !key.includes('..');
+}
+
+// 上傳頁依此決定使用直傳、可續傳分段或一般上傳
+app.get('/api/uploads/config', requireAuth, (req, res) => {
+    res.json({
+        direct: { enabled: DIRECT_UPLOAD_ENABLED, partSize: DIRECT_UPLOAD_PART_SIZE, maxBytes: DIRECT_UPLOAD_MAX_BYTES },
+        resumable: { chunkSize: RESUMABLE_CHUNK_SIZE, maxBytes: RESUMABLE_MAX_BYTES }
+    });
+});
+
+// [POST] 開始直傳：{ fileName, contentType, size }，回傳 uploadId、key 與每個分段的 presigned URL
+app.post('/api/uploads/direct/start', requireAuth, async (req, res) => {
+    if (!DIRECT_UPLOAD_ENABLED) {
+        return res.status(404).json({ error: '伺服器未啟用直傳上傳' });
+    }
+
+    const fileName = String(req.body.fileName || '').trim();
+    const contentType = String(req.body.contentType || 'application/octet-stream');
+    const size = Number(req.body.size);
+    if (!fileName || !Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: '請提供檔名與檔案大小' });
+    }
+    if (size > DIRECT_UPLOAD_MAX_BYTES) {
+        return res.status(413).json({ error: `檔案超過直傳上限 ${(DIRECT_UPLOAD_MAX_BYTES / 1024 / 1024).toFixed(0)}MB` });
+    }
+
+    try {
+        const safeName = fileName.replace(/[^a-z0-9\u4e00-\u9fa5\.\-]/gi, '_').substring(0, 30);
+        const key = `${STAGING_PREFIX}${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${safeName}`;
+        const { UploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+            Bucket: R2_BUCKET_NAME,
+            Key: key,
+            ContentType: contentType
+        }));
+
+        const partCount = Math.ceil(size / DIRECT_UPLOAD_PART_SIZE);
+        const parts = [];
+        for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+            const url = await getSignedUrl(s3Client, new UploadPartCommand({
+                Bucket: R2_BUCKET_NAME,
+                Key: key,
+                UploadId,
+                PartNumber: partNumber
+            }), { expiresIn: DIRECT_UPLOAD_URL_EXPIRY_SECONDS });
+            parts.push({ partNumber, url });
+        }
+
+        res.json({ key, uploadId: UploadId, partSize: DIRECT_UPLOAD_PART_SIZE, parts });
+    } catch (error) {
+        console.error('建立直傳上傳失敗:', error);
+        res.status(500).json({ error: '無法建立直傳上傳' });
+    }
+});
+
+// [POST] 完成直傳：{ key, uploadId, parts: [{ partNumber, etag }], fileName, contentType, targetAlbumId, duplicatePolicy }
+app.post('/api/uploads/direct/complete', requireAuth, async (req, res) => {
+    if (!DIRECT_UPLOAD_ENABLED) {
+        return res.status(404).json({ error: '伺服器未啟用直傳上傳' });
+    }
+
+    const { key, uploadId, parts, targetAlbumId } = req.body;
+    const fileName = String(req.body.fileName || '').trim();
+    const duplicatePolicy = req.body.duplicatePolicy || 'skip';
+    if (!isStagingKey(key) || !uploadId || !Array.isArray(parts) || parts.length === 0 || !fileName) {
+        return res.status(400).json({ error: '請提供有效的 key、uploadId、分段列表與檔名' });
+    }
+    if (!['skip', 'link', 'upload'].includes(duplicatePolicy)) {
+        return res.status(400).json({ error: 'duplicatePolicy 只能是 skip、link 或 upload' });
+    }
+
+    try {
+        await s3Client.send(new CompleteMultipartUploadCommand({
+            Bucket: R2_BUCKET_NAME,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: {
+                Parts: parts
+                    .map(part => ({ PartNumber: Number(part.partNumber), ETag: part.etag }))
+                    .sort((a, b) => a.PartNumber - b.PartNumber)
+            }
+        }));
+        const head = await s3Client.send(new HeadObjectCommand({ Bucket: R2_BUCKET_NAME, Key: key }));
+
+        // 預簽網址無法限制分段大小，組合完成後再檢查實際檔案大小
+        if ((head.ContentLength || 0) > DIRECT_UPLOAD_MAX_BYTES) {
+            await deleteStagedUpload(key);
+            return res.status(413).json({ error: `檔案超過直傳上限 ${(DIRECT_UPLOAD_MAX_BYTES / 1024 / 1024).toFixed(0)}MB` });
+        }
+
+        let targetAlbum = targetAlbumId && mongoose.isValidObjectId(targetAlbumId) ? await Album.findById(targetAlbumId) : null;
+        if (!targetAlbum) {
+            targetAlbum = await Album.findOne({ name: '未分類相簿' });
+            if (!targetAlbum) {
+                targetAlbum = new Album({ name: '未分類相簿' });
+                await targetAlbum.save();
+            }
+        }
+
+        const originalname = toMulterFileName(fileName);
+        const task = await MediaTask.create({
+            originalFileName: fileName,
+            albumId: targetAlbum._id,
+            duplicatePolicy,
+            uploadedBy: req.user.id,
+            file: {
+                path: createTaskTempPath('direct'),
+                stagingKey: key,
+                originalname,
+                mimetype: String(req.body.contentType || head.ContentType || ''),
+                size: head.ContentLength || 0
+            }
+        });
+
+        scheduleMediaTasks();
+
+        res.json({ message: '檔案已直傳完成，正在背景處理中。', taskIds: [task._id.toString()] });
+    } catch (error) {
+        console.error('完成直傳上傳失敗:', error);
+        res.status(500).json({ error: '無法完成直傳上傳，請重新上傳' });
+    }
+});
+
+// [POST] 放棄直傳：{ key, uploadId }，釋放已上傳的分段
+app.post('/api/uploads/direct/abort', requireAuth, async (req, res) => {
+    if (!DIRECT_UPLOAD_ENABLED) {
+        return res.status(404).json({ error: '伺服器未啟用直傳上傳' });
+    }
+
+    const { key, uploadId } = req.body;
+    if (!isStagingKey(key) || !uploadId) {
+        return res.status(400).json({ error: '請提供有效的 key 與 uploadId' });
+    }
+
+    try {
+        await s3Client.send(new AbortMultipartUploadCommand({ Bucket: R2_BUCKET_NAME, Key: key, UploadId: uploadId }));
+        res.json({ message: '已取消直傳上傳' });
+    } catch (error) {
+        console.error('取消直傳上傳失敗:', error);
+        res.status(500).json({ error: '無法取消直傳上傳' });
+    }
+});
+
+// ============================================================
+// ⭐ 可續傳的分段上傳：建立 (或找回) 上傳 → PUT 分段 (Content-Range) → complete 合併並排入背景任務
+// ============================================================
+
+function resumableChunkPath(upload, start) {
+    return path.join(MEDIA_TMP_DIR, `resumable-${upload._id}-${start}.chunk`);
+}
+
+function removeResumableChunks(uploadId) {
+    const prefix = `resumable-${uploadId}-`;
+    try {
+        for (const name of fs.readdirSync(MEDIA_TMP_DIR)) {
+            if (name.startsWith(prefix)) {
+                fs.unlinkSync(path.join(MEDIA_TMP_DIR, name));
+            }
+        }
+    } catch (error) {
+        console.error(`[RESUMABLE ${uploadId}] 清除分段暫存檔失敗:`, error.message);
+    }
+}
+
+// 將已收到的分段合併成位元組區間，例如 [[0, 16777215], [25165824, 33554431]]
+function toReceivedRanges(upload) {
+    const ranges = [];
+    [...upload.receivedChunks].sort((a, b) => a - b).forEach(start => {
+        const end = Math.min(start + upload.chunkSize, upload.size) - 1;
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] + 1 === start) last[1] = end;
+        else ranges.push([start, end]);
+    });
+    return ranges;
+}
+
+function toResumableJSON(upload) {
+    const expectedChunks = Math.ceil(upload.size / upload.chunkSize);
+    return {
+        uploadId: upload._id,
+        status: upload.status,
+        originalFileName: upload.originalFileName,
+        size: upload.size,
+        chunkSize: upload.chunkSize,
+        receivedChunks: upload.receivedChunks,
+        receivedRanges: toReceivedRanges(upload),
+        complete: upload.receivedChunks.length === expectedChunks,
+        taskId: upload.taskId
+    };
+}
+
+// 解析 "bytes start-end/total"
+function parseContentRange(header) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header || '');
+    if (!match) return null;
+    return { start: Number(match[1]), end: Number(match[2]), total: Number(match[3]) };
+}
+
+async function purgeStaleResumableUploads() {
+    try {
+        const cutoff = new Date(Date.now() - RESUMABLE_UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000);
+        const staleUploads = await ResumableUpload.find({ updatedAt: { $lt: cutoff } }).select('_id');
+        for (const upload of staleUploads) {
+            removeResumableChunks(upload._id);
+            await ResumableUpload.deleteOne({ _id: upload._id });
+        }
+        if (staleUploads.length > 0) {
+            console.log(`🧹 已清除 ${staleUploads.length} 個逾期未完成的分段上傳`);
+        }
+    } catch (error) {
+        console.error('清除逾期分段上傳失敗:', error.message);
+    }
+}
+
+// [POST] 建立或找回可續傳上傳：{ fileName, contentType, size, fingerprint, targetAlbumId, duplicatePolicy }
+app.post('/api/uploads/resumable', requireAuth, async (req, res) => {
+    const fileName = String(req.body.fileName || '').trim();
+    const fingerprint = String(req.body.fingerprint || '').trim();
+    const size = Number(req.body.size);
+    const duplicatePolicy = req.body.duplicatePolicy || 'skip';
+    if (!fileName || !fingerprint || !Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: '請提供檔名、檔案指紋與檔案大小' });
+    }
+    if (size > RESUMABLE_MAX_BYTES) {
+        return res.status(413).json({ error: `檔案超過上限 ${(RESUMABLE_MAX_BYTES / 1024 / 1024).toFixed(0)}MB` });
+    }
+    if (!['skip', 'link', 'upload'].includes(duplicatePolicy)) {
+        return res.status(400).json({ error: 'duplicatePolicy 只能是 skip、link 或 upload' });
+    }
+
+    try {
+        const existing = await ResumableUpload.findOne({ uploadedBy: req.user.id, fingerprint, status: 'UPLOADING' });
+        if (existing) {
+            return res.json(toResumableJSON(existing));
+        }
+
+        let targetAlbum = req.body.targetAlbumId && mongoose.isValidObjectId(req.body.targetAlbumId)
+            ? await Album.findById(req.body.targetAlbumId)
+            : null;
+        if (!targetAlbum) {
+            targetAlbum = await Album.findOne({ name: '未分類相簿' });
+            if (!targetAlbum) {
+                targetAlbum = new Album({ name: '未分類相簿' });
+                await targetAlbum.save();
+            }
+        }
+
+        const upload = await ResumableUpload.create({
+            fingerprint,
+            originalFileName: fileName,
+            mimetype: String(req.body.contentType || ''),
+            size,
+            chunkSize: RESUMABLE_CHUNK_SIZE,
+            albumId: targetAlbum._id,
+            duplicatePolicy,
+            uploadedBy: req.user.id
+        });
+        res.status(201).json(toResumableJSON(upload));
+    } catch (error) {
+        console.error('建立分段上傳失敗:', error);
+        res.status(500).json({ error: '無法建立分段上傳' });
+    }
+});
+
+app.get('/api/uploads/resumable/:id', requireAuth, async (req, res) => {
+    try {
+        const upload = mongoose.isValidObjectId(req.params.id)
+            ? await ResumableUpload.findOne({ _id: req.params.id, uploadedBy: req.user.id })
+            : null;
+        if (!upload) {
+            return res.status(404).json({ error: '找不到此上傳，可能已過期' });
+        }
+        res.json(toResumableJSON(upload));
+    } catch (error) {
+        console.error('查詢分段上傳失敗:', error);
+        res.status(500).json({ error: '無法查詢分段上傳' });
+    }
+});
+
+// [PUT] 上傳一個分段：Content-Range: bytes start-end/total，內容為原始位元組；重送同一段會覆蓋
+app.put('/api/uploads/resumable/:id/chunk', requireAuth, async (req, res) => {
+    const range = parseContentRange(req.get('content-range'));
+    if (!range || !mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: '請提供有效的 Content-Range 標頭' });
+    }
+
+    const upload = await ResumableUpload.findOne({ _id: req.params.id, uploadedBy: req.user.id, status: 'UPLOADING' });
+    if (!upload) {
+        return res.status(404).json({ error: '找不到此上傳，可能已過期或已完成' });
+    }
+
+    const expectedEnd = Math.min(range.start + upload.chunkSize, upload.size) - 1;
+    if (range.total !== upload.size || range.start % upload.chunkSize !== 0 || range.end !== expectedEnd) {
+        return res.status(416).json({ error: '分段範圍不符', ...toResumableJSON(upload) });
+    }
+
+    // 先寫到 .tmp，確認長度正確再改名，斷線時不會留下不完整的分段
+    const chunkPath = resumableChunkPath(upload, range.start);
+    const partialPath = `${chunkPath}.tmp`;
+    try {
+        await pipeline(req, fs.createWriteStream(partialPath));
+        const { size } = fs.statSync(partialPath);
+        if (size !== range.end - range.start + 1) {
+            fs.unlinkSync(partialPath);
+            return res.status(400).json({ error: '分段長度與 Content-Range 不符', ...toResumableJSON(upload) });
+        }
+        fs.renameSync(partialPath, chunkPath);
+
+        const updated = await ResumableUpload.findByIdAndUpdate(
+            upload._id,
+            { $addToSet: { receivedChunks: range.start }, $set: { updatedAt: new Date() } },
+            { new: true }
+        );
+        res.json(toResumableJSON(updated));
+    } catch (error) {
+        if (fs.existsSync(partialPath)) fs.unlinkSync(partialPath);
+        console.error(`[RESUMABLE ${upload._id}] 寫入分段失敗:`, error.message);
+        res.status(500).json({ error: '分段寫入失敗，請重送此分段' });
+    }
+});
+
+// [POST] 分段收齊後合併成單一暫存檔並排入背景任務
+app.post('/api/uploads/resumable/:id/complete', requireAuth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: '無效的上傳 ID' });
+    }
+
+    // 以狀態轉換鎖定，避免重複送出 complete 時合併兩次
+    const upload = await ResumableUpload.findOneAndUpdate(
+        { _id: req.params.id, uploadedBy: req.user.id, status: 'UPLOADING' },
+        { $set: { status: 'ASSEMBLING', updatedAt: new Date() } },
+        { new: true }
+    );
+    if (!upload) {
+        const finished = await ResumableUpload.findOne({ _id: req.params.id, uploadedBy: req.user.id, status: 'COMPLETED' });
+        if (finished) {
+            return res.json({ message: '檔案已提交，正在背景處理中。', taskIds: [finished.taskId.toString()] });
+        }
+        return res.status(404).json({ error: '找不到此上傳，可能已過期或正在合併' });
+    }
+
+    const progress = toResumableJSON(upload);
+    if (!progress.complete) {
+        await ResumableUpload.updateOne({ _id: upload._id }, { $set: { status: 'UPLOADING' } });
+        return res.status(409).json({ error: '尚有分段未上傳', ...progress, status: 'UPLOADING' });
+    }
+
+    const originalname = Buffer.from(upload.originalFileName, 'utf8').toString('latin1');
+    const assembledPath = createTaskTempPath('assembled');
+    try {
+        const starts = [...upload.receivedChunks].sort((a, b) => a - b);
+        for (const start of starts) {
+            await fs.promises.appendFile(assembledPath, await fs.promises.readFile(resumableChunkPath(upload, start)));
+        }
+
+        const task = await MediaTask.create({
+            originalFileName: upload.originalFileName,
+            albumId: upload.albumId,
+            duplicatePolicy: upload.duplicatePolicy,
+            uploadedBy: upload.uploadedBy,
+            file: {
+                path: assembledPath,
+                originalname,
+                mimetype: upload.mimetype,
+                size: upload.size
+            }
+        });
+        removeResumableChunks(upload._id);
+        await ResumableUpload.updateOne({ _id: upload._id }, { $set: { status: 'COMPLETED', taskId: task._id, updatedAt: new Date() } });
+
+        scheduleMediaTasks();
+
+        res.json({ message: '檔案已提交，正在背景處理中。', taskIds: [task._id.toString()] });
+    } catch (error) {
+        if (fs.existsSync(assembledPath)) fs.unlinkSync(assembledPath);
+        await ResumableUpload.updateOne({ _id: upload._id }, { $set: { status: 'UPLOADING' } });
+        console.error(`[RESUMABLE ${upload._id}] 合併分段失敗:`, error.message);
+        res.status(500).json({ error: '合併分段失敗，請稍後再試' });
+    }
+});
+
+// [DELETE] 放棄可續傳上傳並刪除已收到的分段
+app.delete('/api/uploads/resumable/:id', requireAuth, async (req, res) => {
+    try {
+        const upload = mongoose.isValidObjectId(req.params.id)
+            ? await ResumableUpload.findOneAndDelete({ _id: req.params.id, uploadedBy: req.user.id, status: 'UPLOADING' })
+            : null;
+        if (!upload) {
+            return res.status(404).json({ error: '找不到此上傳' });
+        }
+        removeResumableChunks(upload._id);
+        res.json({ message: '已取消上傳' });
+    } catch (error) {
+        console.error('取消分段上傳失敗:', error);
+        res.status(500).json({ error: '無法取消分段上傳' });
+    }
+});
+
+const TASK_STREAM_HEARTBEAT_MS = 25 * 1000; // 定期送出註解行，避免代理伺服器切斷閒置連線
+const TASK_STREAM_MAX_TASKS = 200;
+
+async function toTaskStatusJSON(task) {
+    const { status, message, resultUrl, originalFileName, duplicateAction, duplicateOfPhotoId } = task;
+    return { taskId: task._id, status, message, resultUrl: await signMediaUrl(resultUrl), originalFileName, duplicateAction, duplicateOfPhotoId };
+}
+
+// 訪客只能查詢自己連結的任務
+function canAccessTask(req, task) {
+    return !req.guestLink || String(task.guestUpload && task.guestUpload.linkId) === req.guestLink._id.toString();
+}
+
+function isTaskFinished(task) {
+    return task.status === 'COMPLETED' || task.status === 'FAILED';
+}
+
+app.get('/api/tasks/status/:taskId', requireUploadAccess, async (req, res) => {
+    try {
+        const taskId = req.params.taskId;
+        let task = mongoose.isValidObjectId(taskId) ? await MediaTask.findById(taskId) : null;
+
+        if (task && !canAccessTask(req, task)) {
+            task = null;
+        }
+
+        if (!task) {
+            return res.status(404).json({ error: '找不到該任務ID，可能已過期或完成。' });
+        }
+        
+        res.json(await toTaskStatusJSON(task));
+    } catch (error) {
+        console.error('查詢任務狀態失敗:', error);
+        res.status(500).json({ error: '無法查詢任務狀態' });
+    }
+});
+
+// [GET] 以 Server-Sent Events 推送一批任務的狀態：?taskIds=id1,id2 (訪客需附上 guestToken)
+// 連線時先送出每個任務目前的狀態，之後有變更就推送 task 事件；全部結束時送出 done 事件並關閉
+app.get('/api/tasks/stream', requireUploadAccess, async (req, res) => {
+    const taskIds = [...new Set(String(req.query.taskIds || '').split(',').filter(Boolean))];
+    if (taskIds.length === 0 || taskIds.length > TASK_STREAM_MAX_TASKS || !taskIds.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ error: `請提供 1 到 ${TASK_STREAM_MAX_TASKS} 個有效的任務 ID` });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // 關閉 nginx 等代理的緩衝
+    });
+    res.flushHeaders();
+
+    const pending = new Set(taskIds);
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const finishIfDone = () => {
+        if (pending.size > 0) return;
+        send('done', { taskIds });
+        res.end();
+    };
+
+    // 先註冊監聽器再讀取目前狀態，避免兩者之間的變更被漏掉
+    const onUpdate = async task => {
+        const taskId = task._id.toString();
+        if (!pending.has(taskId) || !canAccessTask(req, task)) return;
+        try {
+            send('task', await toTaskStatusJSON(task));
+            if (isTaskFinished(task)) {
+                pending.delete(taskId);
+                finishIfDone();
+            }
+        } catch (error) {
+            console.error(`[TASK ${taskId}] 推送狀態失敗:`, error.message);
+        }
+    };
+    mediaTaskEvents.on('update', onUpdate);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), TASK_STREAM_HEARTBEAT_MS);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        mediaTaskEvents.off('update', onUpdate);
+    });
+
+    try {
+        const tasks = await MediaTask.find({ _id: { $in: taskIds } });
+        const found = new Map(tasks.filter(task => canAccessTask(req, task)).map(task => [task._id.toString(), task]));
+        for (const taskId of taskIds) {
+            if (!pending.has(taskId)) continue;
+            const task = found.get(taskId);
+            if (!task) {
+                send('task', { taskId, status: 'FAILED', message: '任務在伺服器端已過期或不存在。' });
+                pending.delete(taskId);
+                continue;
+            }
+            send('task', await toTaskStatusJSON(task));
+            if (isTaskFinished(task)) pending.delete(taskId);
+        }
+        finishIfDone();
+    } catch (error) {
+        console.error('讀取任務狀態串流失敗:', error);
+        res.end();
+    }
+});
+
+// [POST] 提交上傳：登入者可指定 targetAlbumId 與 duplicatePolicy；
+// 訪客 (?guestToken=) 固定上傳到連結的相簿、略過重複檔案，並需填寫 uploaderName
+app.post('/api/tasks/submit-upload', requireUploadAccess, upload.array('photos'), async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: '沒有收到照片檔案' });
+    }
+    const discardFiles = () => req.files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+
+    let guestUpload;
+    if (req.guestLink) {
+        const uploaderName = sanitizeGuestText(req.body.uploaderName);
+        if (!uploaderName || uploaderName.length > GUEST_UPLOADER_NAME_MAX_LENGTH) {
+            discardFiles();
+            return res.status(400).json({ error: `請填寫上傳者名稱 (最多 ${GUEST_UPLOADER_NAME_MAX_LENGTH} 字)` });
+        }
+
+        const totalBytes = req.files.reduce((sum, file) => sum + file.size, 0);
+        if (!(await reserveGuestQuota(req.guestLink, req.files.length, totalBytes))) {
+            discardFiles();
+            return res.status(413).json({
+                error: '已超過此上傳連結的數量或容量上限',
+                remaining: getGuestQuotaRemaining(req.guestLink)
+            });
+        }
+        guestUpload = { linkId: req.guestLink._id, uploaderName };
+    }
+
+    const { targetAlbumId } = req.body; 
+    const duplicatePolicy = req.guestLink ? 'skip' : (req.body.duplicatePolicy || 'skip');
+    if (!['skip', 'link', 'upload'].includes(duplicatePolicy)) {
+        discardFiles();
+        return res.status(400).json({ error: 'duplicatePolicy 只能是 skip、link 或 upload' });
+    }
+
+    const toOriginalFileName = file => {
+        const fileName = Buffer.from(file.originalname, 'latin1').toString('utf8');
+        if (!req.guestLink) return fileName;
+        return sanitizeGuestText(fileName) || `guest-upload${sanitizeGuestText(path.extname(fileName).toLowerCase())}`;
+    };
+
+    let taskIds;
+    try {
+        let targetAlbum = req.guestAlbum;
+        if (!targetAlbum) {
+            let defaultAlbum = await Album.findOne({ name: '未分類相簿' });
+            if (!defaultAlbum) {
+                defaultAlbum = new Album({ name: '未分類相簿' });
+                await defaultAlbum.save();
+            }
+            targetAlbum = defaultAlbum; 
+            if (targetAlbumId && mongoose.isValidObjectId(targetAlbumId)) {
+                const foundAlbum = await Album.findById(targetAlbumId);
+                if (foundAlbum) {
+                    targetAlbum = foundAlbum; 
+                }
+            }
+        }
+
+        const tasks = await MediaTask.insertMany(req.files.map(file => ({
+            originalFileName: toOriginalFileName(file), 
+            albumId: targetAlbum._id,
+            duplicatePolicy,
+            uploadedBy: req.user ? req.user.id : null,
+            guestUpload,
+            file: {
+                path: file.path,
+                originalname: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size
+            }
+        })));
+        taskIds = tasks.map(task => task._id.toString());
+    } catch (error) {
+        // 任務未建立，暫存檔不會被背景處理，直接刪除
+        console.error('建立上傳任務失敗:', error);
+        discardFiles();
+        if (req.guestLink) {
+            const totalBytes = req.files.reduce((sum, file) => sum + file.size, 0);
+            await GuestUploadLink.updateOne(
+                { _id: req.guestLink._id },
+                { $inc: { usedFiles: -req.files.length, usedBytes: -totalBytes } }
+            ).catch(refundError => console.error('退還訪客上傳額度失敗:', refundError.message));
+        }
+        return res.status(500).json({ error: '無法建立上傳任務，請稍後再試' });
+    }
+
+    scheduleMediaTasks();
+
+    return res.json({ 
+        message: '檔案已提交，正在背景處理中。',
+        taskIds: taskIds
+    });
+});
+
+// ============================================================
+// ⭐ 命令列維護工具
+// ============================================================
+
+// 為既有照片補上拍攝資訊：下載 R2 物件讀取 EXIF (加上 --force 會重新讀取全部)
+// 注意：舊照片經 sharp 優化後多半已無 EXIF，影片的 creation_time 通常仍保留
+async function backfillCaptureMetadata(args) {
+    const force = args.includes('--force');
+    const photos = await Photo.find(force ? {} : { metadataExtractedAt: { $exists: false } })
+        .select('storageFileName originalFileName');
+    console.log(`🔍 共 ${photos.length} 則留影需要讀取拍攝資訊`);
+
+    let withDate = 0;
+    let withoutDate = 0;
+    let failed = 0;
+
+    for (const photo of photos) {
+        const tempPath = path.join(MEDIA_TMP_DIR, `backfill-${photo.storageFileName}`);
+        try {
+            await downloadFileFromStorage(photo.storageFileName, tempPath);
+            const metadata = await extractCaptureMetadata(tempPath, '', path.extname(photo.storageFileName).toLowerCase());
+
+            const update = { metadataExtractedAt: new Date() };
+            if (metadata.takenAt) update.takenAt = metadata.takenAt;
+            for (const [key, value] of Object.entries(metadata.exif || {})) {
+                if (value !== undefined) update[`exif.${key}`] = value;
+            }
+            await Photo.updateOne({ _id: photo._id }, { $set: update });
+
+            if (metadata.takenAt) {
+                withDate++;
+            } else {
+                withoutDate++;
+            }
+        } catch (error) {
+            failed++;
+            console.error(`讀取 ${photo.originalFileName} 失敗:`, error.message);
+        } finally {
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        }
+    }
+
+    console.log(`✅ 補資料完成：取得拍攝時間 ${withDate} 則，無拍攝時間 ${withoutDate} 則，失敗 ${failed} 則`);
+}
+
+// 為既有圖片補上感知雜湊 (優先下載小縮圖，影片略過)
+async function backfillPerceptualHashes() {
+    const photos = await Photo.find({ perceptualHash: { $exists: false }, posterUrl: { $exists: false } })
+        .select('storageFileName originalFileName renditions');
+    console.log(`🔍 共 ${photos.length} 則留影需要計算感知雜湊`);
+
+    let updated = 0;
+    let failed = 0;
+
+    for (const photo of photos) {
+        if (VIDEO_FILE_PATTERN.test(photo.storageFileName)) continue;
+
+        const small = photo.renditions.find(r => r.size === 'small');
+        const sourceFileName = small ? small.storageFileName : photo.storageFileName;
+        const tempPath = path.join(MEDIA_TMP_DIR, `backfill-${sourceFileName}`);
+        try {
+            await downloadFileFromStorage(sourceFileName, tempPath);
+            const perceptualHash = await computePerceptualHash(tempPath);
+            await Photo.updateOne({ _id: photo._id }, { $set: { perceptualHash } });
+            updated++;
+        } catch (error) {
+            failed++;
+            console.error(`計算 ${photo.originalFileName} 失敗:`, error.message);
+        } finally {
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        }
+    }
+
+    console.log(`✅ 補資料完成：成功 ${updated} 則，失敗 ${failed} 則`);
+}
+
+// 匯出圖庫到目錄：node server.js export <目錄> [--media]，--media 會一併下載所有媒體物件到 <目錄>/media/
+// 已下載過的檔案會略過，中斷後可重新執行
+async function exportLibrary(args) {
+    const targetDir = args.find(arg => !arg.startsWith('--'));
+    if (!targetDir) throw new Error('請指定匯出目錄，例如 node server.js export ./backup --media');
+
+    const manifest = await buildLibraryManifest();
+    await fs.promises.mkdir(targetDir, { recursive: true });
+    await fs.promises.writeFile(path.join(targetDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    console.log(`📝 已寫入 manifest.json：${manifest.albums.length} 本相簿、${manifest.photos.length} 則留影`);
+
+    if (!args.includes('--media')) return;
+
+    const keys = getPhotoStorageKeys(manifest.photos);
+    let downloaded = 0;
+    let failed = 0;
+    for (const key of keys) {
+        const localPath = path.join(targetDir, 'media', key);
+        if (fs.existsSync(localPath)) continue;
+        try {
+            await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+            const object = await storage.getStream(key);
+            await pipeline(object.Body, fs.createWriteStream(`${localPath}.partial`));
+            await fs.promises.rename(`${localPath}.partial`, localPath);
+            downloaded++;
+        } catch (error) {
+            failed++;
+            console.error(`下載 ${key} 失敗:`, error.message);
+        }
+    }
+    console.log(`✅ 匯出完成：共 ${keys.length} 個媒體物件，本次下載 ${downloaded} 個，失敗 ${failed} 個`);
+}
+
+// 從匯出目錄 (或 manifest.json) 還原：node server.js import <目錄或 manifest.json>，目錄中有 media/ 時一併上傳媒體
+async function importLibrary(args) {
+    const source = args.find(arg => !arg.startsWith('--'));
+    if (!source) throw new Error('請指定匯出目錄或 manifest.json，例如 node server.js import ./backup');
+
+    const isDirectory = fs.statSync(source).isDirectory();
+    const manifestPath = isDirectory ? path.join(source, 'manifest.json') : source;
+    const mediaDir = path.join(isDirectory ? source : path.dirname(source), 'media');
+
+    const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    const summary = await importLibraryManifest(manifest, fs.existsSync(mediaDir) ? mediaDir : null);
+    console.log(`✅ 還原完成：${summary.albums} 本相簿、${summary.photos} 則留影、${summary.tags} 個標籤；` +
+        `媒體上傳 ${summary.mediaUploaded} 個、已存在 ${summary.mediaSkipped} 個、備份中缺少 ${summary.mediaMissing} 個`);
+}
+
+// 一致性檢查：node server.js check-consistency [--repair] [--json]
+async function runConsistencyCheck(args) {
+    const report = await checkLibraryConsistency({ repair: args.includes('--repair') });
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    const orphanBytes = report.orphanObjects.reduce((sum, object) => sum + (object.size || 0), 0);
+    console.log(`📋 一致性檢查 (${report.repair ? '修復模式' : '僅檢查'})`);
+    console.log(`   沒有相簿的照片：${report.photosWithoutAlbum.length} 則`);
+    report.albumCounts.forEach(item => console.log(`   相簿「${item.name}」數量 ${item.stored} → 實際 ${item.actual}`));
+    console.log(`   數量不符的相簿：${report.albumCounts.length} 本`);
+    console.log(`   孤兒物件：${report.orphanObjects.length} 個 (${(orphanBytes / 1024 / 1024).toFixed(1)}MB)`);
+    console.log(`   遺失物件的照片：${report.missingObjects.length} 則`);
+    report.missingObjects.forEach(item => console.log(`     - ${item.originalFileName} (${item.photoId}): ${item.missingKeys.join(', ')}`));
+    if (report.repair) {
+        const { photosMoved, countsFixed, orphansDeleted, errors } = report.repairs;
+        console.log(`🔧 已移動 ${photosMoved} 則照片、修正 ${countsFixed} 本相簿數量、刪除 ${orphansDeleted} 個孤兒物件，失敗 ${errors.length} 個`);
+    } else if (report.photosWithoutAlbum.length || report.albumCounts.length || report.orphanObjects.length) {
+        console.log('💡 加上 --repair 可自動修正');
+    }
+}
+
+// 一次性遷移：移除舊版的 storageFileName 唯一索引並建立 schema 定義的索引
+// 不使用 syncIndexes，避免刪除維運人員手動建立的索引
+async function migratePhotoIndexes() {
+    const indexes = await Photo.collection.indexes();
+    for (const index of indexes) {
+        if (index.unique && index.key && index.key.storageFileName === 1) {
+            await Photo.collection.dropIndex(index.name);
+            console.log(`🗑️ 已移除唯一索引 ${index.name}`);
+        }
+    }
+    await Photo.createIndexes();
+    console.log('✅ 照片索引已更新');
+}
+
+const CLI_COMMANDS = {
+    'migrate-photo-indexes': migratePhotoIndexes,
+    'backfill-exif': backfillCaptureMetadata,
+    'backfill-phash': backfillPerceptualHashes,
+    'export': exportLibrary,
+    'import': importLibrary,
+    'check-consistency': runConsistencyCheck
+};
+
+if (CLI_COMMAND) {
+    const command = CLI_COMMANDS[CLI_COMMAND];
+    if (!command) {
+        console.error(`❌ 未知的指令: ${CLI_COMMAND}，可用指令: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+        process.exit(1);
+    }
+
+    mongoose.connection.asPromise()
+        .then(() => command(process.argv.slice(3)))
+        .then(() => mongoose.disconnect())
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error(`❌ 指令 ${CLI_COMMAND} 執行失敗:`, error);
+            process.exit(1);
+        });
+} else {
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+        console.log(`後端伺服器已在 Port ${PORT} 啟動`);
+    });
+}
\ No newline at end of file
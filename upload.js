@@ -3,8 +3,16 @@
 const BACKEND_URL = 'https://banban-life.zeabur.app'; 
 let selectedFiles = []; 
 let activeTaskIds = []; // 追蹤所有正在處理的任務 ID
-let pollingInterval = null; // 輪詢計時器
+let pollingInterval = null; // 輪詢計時器 (瀏覽器不支援或串流中斷時才使用)
+let taskEventSource = null; // 任務狀態 SSE 串流
 let mediaTasks = {}; // 全域任務追蹤物件
+// guest-upload.html?token=... 訪客上傳模式：固定上傳到連結指定的相簿
+const GUEST_TOKEN = new URLSearchParams(window.location.search).get('token');
+let uploadConfig = null; // 伺服器上傳設定 { direct: { enabled, partSize, maxBytes }, resumable: { chunkSize, maxBytes } }
+const PENDING_UPLOADS_KEY = 'pending_resumable_uploads'; // 未完成的分段上傳，重新整理後用來提示續傳
+const PENDING_UPLOAD_EXPIRY_MS = 24 * 60 * 60 * 1000; // 與伺服器保留未完成上傳的時間相同
+const CHUNK_MAX_RETRIES = 8;
+const UPLOAD_BUTTON_HTML = `<svg viewBox="0 0 24 24" style="width:20px; height:20px; fill:white;"><path d="M9,16V10H5L12,3L19,10H15V16H9M5,20V18H19V20H5Z" /></svg> <span>上傳</span>`;
 
 // DOM 元素
 const uploadButton = document.getElementById('uploadButton');
@@ -56,6 +64,209 @@ async function fetchAlbumsForSelect() {
     }
 }
 
+// ----------------------------------------------------
+// 訪客模式：載入上傳連結資訊 (目標相簿與剩餘配額)
+// ----------------------------------------------------
+async function fetchGuestLinkInfo() {
+    const info = document.getElementById('guestLinkInfo');
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/public/guest-uploads/${encodeURIComponent(GUEST_TOKEN)}`);
+        const data = await res.json();
+        if (!res.ok) {
+            info.textContent = `❌ ${data.error}`;
+            document.getElementById('dropArea').style.display = 'none';
+            uploadButton.disabled = true;
+            return;
+        }
+
+        const limits = [];
+        if (data.remaining.files !== null) limits.push(`還可上傳 ${data.remaining.files} 個檔案`);
+        if (data.remaining.bytes !== null) limits.push(`剩餘 ${(data.remaining.bytes / 1024 / 1024).toFixed(0)}MB`);
+        limits.push(`${new Date(data.expiresAt).toLocaleDateString()} 前有效`);
+        info.innerHTML = `上傳到「<strong>${data.albumName}</strong>」${data.label ? ` (${data.label})` : ''}<br><small>${limits.join('・')}</small>`;
+
+        if (selectedFiles.length > 0) {
+            uploadButton.disabled = false;
+        }
+    } catch (e) {
+        console.error(e);
+        info.textContent = '❌ 載入上傳連結失敗';
+    }
+}
+
+// ----------------------------------------------------
+// 上傳方式：直傳 R2 (伺服器啟用時)、大檔分段續傳、或一般上傳
+// ----------------------------------------------------
+async function fetchUploadConfig() {
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/uploads/config`);
+        if (res.ok) {
+            uploadConfig = await res.json();
+        }
+    } catch (e) {
+        console.error('取得上傳設定失敗，改用一般上傳', e);
+    }
+}
+
+// 將單一檔案以 presigned multipart 直傳到 R2 的 staging/，完成後回傳伺服器建立的任務 ID
+async function uploadFileDirect(file, targetAlbumId, duplicatePolicy, onProgress) {
+    const startRes = await fetch(`${BACKEND_URL}/api/uploads/direct/start`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName: file.name, contentType: file.type, size: file.size })
+    });
+    const start = await startRes.json();
+    if (!startRes.ok) throw new Error(start.error);
+
+    const completedParts = [];
+    try {
+        for (const part of start.parts) {
+            const offset = (part.partNumber - 1) * start.partSize;
+            const partRes = await fetch(part.url, { method: 'PUT', body: file.slice(offset, offset + start.partSize) });
+            const etag = partRes.headers.get('ETag');
+            if (!partRes.ok || !etag) {
+                throw new Error(`第 ${part.partNumber} 段上傳失敗`);
+            }
+            completedParts.push({ partNumber: part.partNumber, etag });
+            onProgress(completedParts.length / start.parts.length);
+        }
+    } catch (e) {
+        fetch(`${BACKEND_URL}/api/uploads/direct/abort`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key: start.key, uploadId: start.uploadId })
+        }).catch(() => {});
+        throw e;
+    }
+
+    const completeRes = await fetch(`${BACKEND_URL}/api/uploads/direct/complete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            key: start.key,
+            uploadId: start.uploadId,
+            parts: completedParts,
+            fileName: file.name,
+            contentType: file.type,
+            targetAlbumId,
+            duplicatePolicy
+        })
+    });
+    const result = await completeRes.json();
+    if (!completeRes.ok) throw new Error(result.error);
+    return result.taskIds[0];
+}
+
+// ----------------------------------------------------
+// 可續傳的分段上傳：斷線時自動重試，重新整理後重新選取相同檔案即可從中斷處繼續
+// ----------------------------------------------------
+function fileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function getPendingUploads() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_UPLOADS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function setPendingUpload(fingerprint, info) {
+    const pending = getPendingUploads();
+    if (info) pending[fingerprint] = info;
+    else delete pending[fingerprint];
+    localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pending));
+}
+
+// 顯示上次未完成的上傳，並移除伺服器已清除的舊紀錄
+function renderPendingUploadsNotice() {
+    const notice = document.getElementById('resumableNotice');
+    const pending = getPendingUploads();
+    Object.entries(pending).forEach(([fingerprint, info]) => {
+        if (Date.now() - info.savedAt > PENDING_UPLOAD_EXPIRY_MS) setPendingUpload(fingerprint, null);
+    });
+
+    const names = Object.values(getPendingUploads()).map(info => info.fileName);
+    if (!notice) return;
+    notice.style.display = names.length > 0 ? 'block' : 'none';
+    notice.textContent = `⏸️ 有 ${names.length} 個檔案尚未上傳完成 (${names.join('、')})，重新選取相同檔案即可從中斷處繼續。`;
+}
+
+function waitForOnline() {
+    if (navigator.onLine) return Promise.resolve();
+    return new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+}
+
+// 上傳單一分段；網路中斷或伺服器錯誤時等待後重試，其餘錯誤直接拋出
+async function sendChunkWithRetry(uploadId, file, start, end) {
+    for (let attempt = 1; ; attempt++) {
+        await waitForOnline();
+
+        let res = null;
+        try {
+            res = await fetch(`${BACKEND_URL}/api/uploads/resumable/${uploadId}/chunk`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream', 'Content-Range': `bytes ${start}-${end}/${file.size}` },
+                body: file.slice(start, end + 1)
+            });
+        } catch (e) {
+            console.warn(`分段 ${start}-${end} 上傳中斷，準備重試 (${attempt}/${CHUNK_MAX_RETRIES})`, e);
+        }
+
+        if (res && res.ok) return res.json();
+        if (res && res.status < 500) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.error || `分段上傳失敗 (${res.status})`);
+        }
+        if (attempt >= CHUNK_MAX_RETRIES) {
+            throw new Error('網路不穩定，分段重試多次仍失敗');
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(30000, 1000 * 2 ** attempt)));
+    }
+}
+
+// 以分段上傳單一檔案 (伺服器已收到的分段會略過)，完成後回傳任務 ID
+async function uploadFileResumable(file, targetAlbumId, duplicatePolicy, onProgress) {
+    const fingerprint = fileFingerprint(file);
+    const startRes = await fetch(`${BACKEND_URL}/api/uploads/resumable`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName: file.name, contentType: file.type, size: file.size, fingerprint, targetAlbumId, duplicatePolicy })
+    });
+    const upload = await startRes.json();
+    if (!startRes.ok) throw new Error(upload.error);
+    setPendingUpload(fingerprint, { fileName: file.name, uploadId: upload.uploadId, savedAt: Date.now() });
+
+    const received = new Set(upload.receivedChunks);
+    const totalChunks = Math.ceil(file.size / upload.chunkSize);
+    onProgress(received.size / totalChunks);
+    for (let start = 0; start < file.size; start += upload.chunkSize) {
+        if (received.has(start)) continue;
+        const end = Math.min(start + upload.chunkSize, file.size) - 1;
+        const progress = await sendChunkWithRetry(upload.uploadId, file, start, end);
+        onProgress(progress.receivedChunks.length / totalChunks);
+    }
+
+    const completeRes = await fetch(`${BACKEND_URL}/api/uploads/resumable/${upload.uploadId}/complete`, { method: 'POST' });
+    const result = await completeRes.json();
+    if (!completeRes.ok) throw new Error(result.error);
+    setPendingUpload(fingerprint, null);
+    return result.taskIds[0];
+}
+
+// 任務狀態查詢網址 (訪客需附上 guestToken)
+function getTaskStatusUrl(taskId) {
+    const url = `${BACKEND_URL}/api/tasks/status/${taskId}`;
+    return GUEST_TOKEN ? `${url}?guestToken=${encodeURIComponent(GUEST_TOKEN)}` : url;
+}
+
+// 任務狀態串流網址 (訪客需附上 guestToken)
+function getTaskStreamUrl(taskIds) {
+    const url = `${BACKEND_URL}/api/tasks/stream?taskIds=${taskIds.join(',')}`;
+    return GUEST_TOKEN ? `${url}&guestToken=${encodeURIComponent(GUEST_TOKEN)}` : url;
+}
+
 // ----------------------------------------------------
 // 輔助函式：渲染預覽圖 (使用 Canvas 截取影片靜態縮圖，並優化圖片處理)
 // ----------------------------------------------------
@@ -203,6 +414,13 @@ function handleFiles(files) {
     if (selectedFiles.length > 0) {
         emptyState.style.display = 'none';
         uploadButton.disabled = false;
+
+        // 重新選取的檔案全都是上次中斷的上傳時，自動從中斷處繼續
+        const pending = getPendingUploads();
+        if (!GUEST_TOKEN && uploadConfig && selectedFiles.every(file => pending[fileFingerprint(file)])) {
+            showMessage('info', '偵測到未完成的上傳，自動從中斷處繼續...');
+            uploadPhoto();
+        }
     } else {
         emptyState.style.display = 'block';
         uploadButton.disabled = true;
@@ -254,20 +472,21 @@ function updateProgressUI() {
     }
 
     if (allCompleted && activeTaskIds.length > 0) {
-        clearInterval(pollingInterval);
-        pollingInterval = null;
+        stopTaskTracking();
         
         localStorage.setItem('albums_data_changed', 'true');
         
         const totalCount = activeTaskIds.length;
         const failedCount = activeTaskIds.filter(id => mediaTasks[id] && mediaTasks[id].status === 'FAILED').length;
+        const duplicateCount = activeTaskIds.filter(id => mediaTasks[id] && ['SKIPPED', 'LINKED'].includes(mediaTasks[id].duplicateAction)).length;
+        const duplicateNote = duplicateCount > 0 ? `（其中 ${duplicateCount} 個為重複檔案，未重新上傳）` : '';
         
         if (failedCount === totalCount) {
             showMessage('error', `❌ 所有 ${totalCount} 個檔案處理失敗，請檢查日誌。`);
         } else if (failedCount > 0) {
-            showMessage('warning', `⚠️ 處理完成。${totalCount - failedCount} 個成功，${failedCount} 個失敗。`);
+            showMessage('warning', `⚠️ 處理完成。${totalCount - failedCount} 個成功，${failedCount} 個失敗。${duplicateNote}`);
         } else {
-            showMessage('success', `✅ 所有 ${totalCount} 個檔案處理完成！請查看相簿。`);
+            showMessage('success', `✅ 所有 ${totalCount} 個檔案處理完成！請查看相簿。${duplicateNote}`);
         }
         
         setTimeout(() => {
@@ -281,15 +500,64 @@ function updateProgressUI() {
         }, 10000); 
 
         uploadButton.disabled = false;
-        uploadButton.innerHTML = `<svg viewBox="0 0 24 24" style="width:20px; height:20px; fill:white;"><path d="M9,16V10H5L12,3L19,10H15V16H9M5,20V18H19V20H5Z" /></svg> <span>上傳</span>`;
+        uploadButton.innerHTML = UPLOAD_BUTTON_HTML;
+        if (GUEST_TOKEN) fetchGuestLinkInfo();
+    }
+}
+
+
+// 追蹤處理中的任務：優先使用 SSE 串流，無法使用時改為每 5 秒輪詢
+function startTaskTracking() {
+    if (pollingInterval) return; // 已改用輪詢時沿用，新任務會一併被輪詢
+
+    const unfinishedIds = activeTaskIds.filter(id => mediaTasks[id] && ['PENDING', 'PROCESSING'].includes(mediaTasks[id].status));
+    if (taskEventSource) {
+        taskEventSource.close();
+        taskEventSource = null;
+    }
+    if (unfinishedIds.length === 0) return;
+
+    if (!window.EventSource) {
+        pollingInterval = setInterval(pollTaskStatus, 5000);
+        return;
     }
+
+    const source = new EventSource(getTaskStreamUrl(unfinishedIds));
+    source.addEventListener('task', event => {
+        const taskStatus = JSON.parse(event.data);
+        mediaTasks[taskStatus.taskId] = { ...mediaTasks[taskStatus.taskId], ...taskStatus };
+        updateProgressUI();
+    });
+    source.addEventListener('done', () => {
+        source.close();
+        if (taskEventSource === source) taskEventSource = null;
+    });
+    source.onerror = () => {
+        // 串流無法建立或中斷 (例如代理不支援)：改回輪詢，避免 EventSource 不斷自動重連
+        source.close();
+        if (taskEventSource !== source) return;
+        taskEventSource = null;
+        console.warn('任務狀態串流中斷，改用輪詢。');
+        if (!pollingInterval && activeTaskIds.length > 0) {
+            pollingInterval = setInterval(pollTaskStatus, 5000);
+            pollTaskStatus();
+        }
+    };
+    taskEventSource = source;
 }
 
+function stopTaskTracking() {
+    clearInterval(pollingInterval);
+    pollingInterval = null;
+    if (taskEventSource) {
+        taskEventSource.close();
+        taskEventSource = null;
+    }
+}
 
 async function pollTaskStatus() {
     if (activeTaskIds.length === 0) {
-        clearInterval(pollingInterval);
-        pollingInterval = null;
+        stopTaskTracking();
         return;
     }
 
@@ -298,7 +566,7 @@ async function pollTaskStatus() {
 
     for (const taskId of idsToPoll) {
         try {
-            const res = await fetch(`${BACKEND_URL}/api/tasks/status/${taskId}`);
+            const res = await fetch(getTaskStatusUrl(taskId));
             if (res.ok) {
                 const taskStatus = await res.json();
                 tasks[taskId] = { ...mediaTasks[taskId], ...taskStatus };
@@ -330,59 +598,132 @@ async function uploadPhoto() {
         return;
     }
 
+    // 訪客需填寫名字，方便相簿擁有者辨識
+    const uploaderName = GUEST_TOKEN ? document.getElementById('guestNameInput').value.trim() : '';
+    if (GUEST_TOKEN && !uploaderName) {
+        showMessage('warning', '請先填寫你的名字');
+        document.getElementById('guestNameInput').focus();
+        return;
+    }
+
     uploadButton.disabled = true;
     uploadButton.innerHTML = '正在提交...'; 
 
-    const targetAlbumId = document.getElementById('targetAlbumSelect').value;
-    
-    const formData = new FormData();
-    selectedFiles.forEach(file => {
-        formData.append('photos', file, file.name); 
-    });
-    formData.append('targetAlbumId', targetAlbumId); 
-
     try {
-        const res = await fetch(`${BACKEND_URL}/api/tasks/submit-upload`, { 
-            method: 'POST',
-            body: formData,
-        });
-
-        const result = await res.json();
-        
-        if (res.ok) {
-            const newTasks = result.taskIds;
-            if (newTasks && newTasks.length > 0) {
-                
-                newTasks.forEach((taskId, index) => {
-                    activeTaskIds.push(taskId); 
-                    mediaTasks[taskId] = {
-                        status: 'PENDING',
-                        message: '等待伺服器資源進行媒體處理...',
-                        originalFileName: selectedFiles[index] ? selectedFiles[index].name : '未知檔案', 
-                    };
-                });
-                
-                selectedFiles = [];
-                previewGrid.innerHTML = '';
-                emptyState.style.display = 'block';
-
-                showMessage('info', `✅ ${newTasks.length} 個檔案已提交到伺服器背景處理。`);
-                
-                if (!pollingInterval) {
-                    pollingInterval = setInterval(pollTaskStatus, 5000); 
-                }
-                updateProgressUI(); 
+        // 登入者：伺服器啟用直傳時全部直傳 R2，否則超過一個分段大小的檔案改用可續傳上傳
+        let directFiles = [];
+        let resumableFiles = [];
+        let serverFiles = selectedFiles;
+        if (uploadConfig && !GUEST_TOKEN) {
+            if (uploadConfig.direct.enabled) {
+                directFiles = selectedFiles;
+                serverFiles = [];
+            } else {
+                resumableFiles = selectedFiles.filter(file => file.size > uploadConfig.resumable.chunkSize);
+                serverFiles = selectedFiles.filter(file => file.size <= uploadConfig.resumable.chunkSize);
             }
-        } else {
-            showMessage('error', `提交失敗: ${result.error}`);
+        }
+
+        const results = [];
+        if (serverFiles.length > 0) results.push(await submitFilesToServer(serverFiles, uploaderName));
+        if (directFiles.length > 0) results.push(await submitFilesOneByOne(directFiles, uploadFileDirect, '直傳'));
+        if (resumableFiles.length > 0) results.push(await submitFilesOneByOne(resumableFiles, uploadFileResumable, '上傳'));
+        renderPendingUploadsNotice();
+
+        const succeeded = results.filter(Boolean);
+        const submitted = succeeded.length === 0 ? null : {
+            taskIds: succeeded.flatMap(result => result.taskIds),
+            fileNames: succeeded.flatMap(result => result.fileNames)
+        };
+        if (!submitted) {
             uploadButton.disabled = false;
-            uploadButton.innerHTML = `<svg viewBox="0 0 24 24" style="width:20px; height:20px; fill:white;"><path d="M9,16V10H5L12,3L19,10H15V16H9M5,20V18H19V20H5Z" /></svg> <span>上傳</span>`;
+            uploadButton.innerHTML = UPLOAD_BUTTON_HTML;
+            return;
+        }
+
+        const { taskIds: newTasks, fileNames } = submitted;
+        if (newTasks && newTasks.length > 0) {
+            
+            newTasks.forEach((taskId, index) => {
+                activeTaskIds.push(taskId); 
+                mediaTasks[taskId] = {
+                    status: 'PENDING',
+                    message: '等待伺服器資源進行媒體處理...',
+                    originalFileName: fileNames[index] || '未知檔案', 
+                };
+            });
+            
+            selectedFiles = [];
+            previewGrid.innerHTML = '';
+            emptyState.style.display = 'block';
+
+            showMessage('info', `✅ ${newTasks.length} 個檔案已提交到伺服器背景處理。`);
+            
+            startTaskTracking();
+            updateProgressUI(); 
         }
     } catch (e) {
         showMessage('error', '上傳發生網路錯誤');
         uploadButton.disabled = false;
-        uploadButton.innerHTML = `<svg viewBox="0 0 24 24" style="width:20px; height:20px; fill:white;"><path d="M9,16V10H5L12,3L19,10H15V16H9M5,20V18H19V20H5Z" /></svg> <span>上傳</span>`;
+        uploadButton.innerHTML = UPLOAD_BUTTON_HTML;
+    }
+}
+
+// 經由伺服器 (multer) 一次上傳多個檔案；失敗時顯示錯誤並回傳 null
+async function submitFilesToServer(files, uploaderName) {
+    const formData = new FormData();
+    files.forEach(file => {
+        formData.append('photos', file, file.name); 
+    });
+    if (GUEST_TOKEN) {
+        formData.append('uploaderName', uploaderName);
+        localStorage.setItem('guest_uploader_name', uploaderName);
+    } else {
+        formData.append('targetAlbumId', document.getElementById('targetAlbumSelect').value); 
+        formData.append('duplicatePolicy', document.getElementById('duplicatePolicySelect').value);
+    }
+
+    const submitUrl = GUEST_TOKEN
+        ? `${BACKEND_URL}/api/tasks/submit-upload?guestToken=${encodeURIComponent(GUEST_TOKEN)}`
+        : `${BACKEND_URL}/api/tasks/submit-upload`;
+
+    const res = await fetch(submitUrl, { 
+        method: 'POST',
+        body: formData,
+    });
+    const result = await res.json();
+    if (!res.ok) {
+        showMessage('error', `提交失敗: ${result.error}`);
+        return null;
+    }
+    return { taskIds: result.taskIds, fileNames: files.map(file => file.name) };
+}
+
+// 逐一以 uploadOne (直傳或分段上傳) 送出檔案；個別檔案失敗不影響其他檔案
+async function submitFilesOneByOne(files, uploadOne, label) {
+    const targetAlbumId = document.getElementById('targetAlbumSelect').value;
+    const duplicatePolicy = document.getElementById('duplicatePolicySelect').value;
+    const taskIds = [];
+    const fileNames = [];
+    const failedNames = [];
+
+    for (const [index, file] of files.entries()) {
+        try {
+            const taskId = await uploadOne(file, targetAlbumId, duplicatePolicy, ratio => {
+                uploadButton.innerHTML = `正在${label} ${index + 1}/${files.length} (${Math.round(ratio * 100)}%)`;
+            });
+            taskIds.push(taskId);
+            fileNames.push(file.name);
+        } catch (e) {
+            console.error(`${label} ${file.name} 失敗:`, e);
+            failedNames.push(file.name);
+        }
     }
+
+    if (failedNames.length > 0) {
+        showMessage('error', `以下檔案${label}失敗，請重新選取後再試：${failedNames.join('、')}`);
+    }
+    return taskIds.length > 0 ? { taskIds, fileNames } : null;
 }
 
 
@@ -392,7 +733,14 @@ async function uploadPhoto() {
 document.addEventListener('DOMContentLoaded', () => {
     window.uploadPhoto = uploadPhoto;
     window.handleFiles = handleFiles; 
-    fetchAlbumsForSelect(); 
+    if (GUEST_TOKEN) {
+        document.getElementById('guestNameInput').value = localStorage.getItem('guest_uploader_name') || '';
+        fetchGuestLinkInfo();
+    } else {
+        fetchAlbumsForSelect(); 
+        fetchUploadConfig();
+        renderPendingUploadsNotice();
+    }
 
     const dropArea = document.getElementById('dropArea');
     const fileInput = document.getElementById('photoFile');
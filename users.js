@@ -0,0 +1,243 @@
+// users.js (成員管理頁 - 邀請成員、調整角色、停用與重設)
+
+const BACKEND_URL = 'https://banban-life.zeabur.app'; 
+
+const ROLE_LABELS = { viewer: '瀏覽者', editor: '編輯者', admin: '管理員' };
+
+// 登入紀錄的帳號與 User-Agent 由未登入的用戶端送出，插入 innerHTML 前一律跳脫
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function showMessage(type, content) {
+    const msg = document.getElementById('message');
+    if (!msg) return; 
+    
+    const duration = (type === 'error') ? 8000 : 3000;
+    msg.className = `message-box ${type}`;
+    msg.innerHTML = content;
+    msg.style.display = 'block';
+    setTimeout(() => msg.style.display = 'none', duration);
+}
+
+// 顯示邀請連結，讓管理員複製給對方
+function showInviteLink(username, invitePath) {
+    const box = document.getElementById('inviteLinkBox');
+    const url = `${window.location.origin}${invitePath}`;
+    box.innerHTML = `「${username}」的邀請連結 (7 天內有效)：<input type="text" readonly value="${url}" onclick="this.select()">`;
+    box.style.display = 'block';
+}
+
+async function fetchUsers() {
+    const list = document.getElementById('userList');
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/admin/users`);
+        if (!res.ok) {
+            list.innerHTML = `<tr><td colspan="6">${res.status === 403 ? '只有管理員可以管理成員' : '載入失敗'}</td></tr>`;
+            return;
+        }
+        const users = await res.json();
+        list.innerHTML = '';
+        if (users.length === 0) {
+            list.innerHTML = '<tr><td colspan="6">尚未建立任何成員帳號</td></tr>';
+            return;
+        }
+
+        users.forEach(user => {
+            const row = document.createElement('tr');
+            const status = user.disabled ? '已停用' : (user.pendingInvite ? '等待接受邀請' : '啟用中');
+            const roleOptions = Object.entries(ROLE_LABELS)
+                .map(([value, label]) => `<option value="${value}" ${value === user.role ? 'selected' : ''}>${label}</option>`)
+                .join('');
+
+            row.innerHTML = `
+                <td>${user.username}</td>
+                <td>${user.displayName || ''}</td>
+                <td><select onchange="updateUser('${user.id}', { role: this.value })">${roleOptions}</select></td>
+                <td>${status}</td>
+                <td>${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : '-'}</td>
+                <td class="user-actions">
+                    <button onclick="updateUser('${user.id}', { disabled: ${!user.disabled} })" class="icon-btn">${user.disabled ? '啟用' : '停用'}</button>
+                    <button onclick="reinviteUser('${user.id}', '${user.username}')" class="icon-btn">${user.pendingInvite ? '重新邀請' : '重設密碼'}</button>
+                    <button onclick="deleteUser('${user.id}', '${user.username}')" class="icon-btn delete">刪除</button>
+                </td>
+            `;
+            list.appendChild(row);
+        });
+    } catch (e) {
+        console.error('載入成員失敗', e);
+        list.innerHTML = '<tr><td colspan="6">載入失敗</td></tr>';
+    }
+}
+
+// 最近的登入失敗 / 被擋下紀錄
+async function fetchLoginAttempts() {
+    const list = document.getElementById('loginAttemptList');
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/admin/login-attempts?limit=50`);
+        if (!res.ok) return;
+        const { attempts, recent } = await res.json();
+
+        document.getElementById('loginAttemptSummary').textContent =
+            `最近 ${recent.windowMinutes} 分鐘內失敗 ${recent.totalFailures} 次` +
+            (recent.byIp.length > 0 ? `，最多來自 ${recent.byIp[0].ip} (${recent.byIp[0].failures} 次)` : '');
+
+        list.innerHTML = attempts.length === 0 ? '<tr><td colspan="5">沒有失敗紀錄</td></tr>' : '';
+        attempts.forEach(attempt => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${new Date(attempt.createdAt).toLocaleString()}</td>
+                <td>${escapeHtml(attempt.ip)}</td>
+                <td>${attempt.username ? escapeHtml(attempt.username) : '(共用密碼)'}</td>
+                <td>${attempt.result === 'BLOCKED' ? '已封鎖' : '密碼錯誤'}</td>
+                <td class="user-agent" title="${escapeHtml(attempt.userAgent)}">${escapeHtml(attempt.userAgent)}</td>
+            `;
+            list.appendChild(row);
+        });
+    } catch (e) {
+        console.error('載入登入紀錄失敗', e);
+    }
+}
+
+async function inviteUser(event) {
+    event.preventDefault();
+    const username = document.getElementById('inviteUsername').value.trim();
+    const displayName = document.getElementById('inviteDisplayName').value.trim();
+    const role = document.getElementById('inviteRole').value;
+
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/admin/users`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, displayName, role })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            return showMessage('error', `❌ ${data.error}`);
+        }
+        document.getElementById('inviteUsername').value = '';
+        document.getElementById('inviteDisplayName').value = '';
+        showInviteLink(data.user.username, data.invitePath);
+        fetchUsers();
+    } catch (e) {
+        showMessage('error', '網路錯誤，邀請失敗');
+    }
+}
+
+async function updateUser(id, changes) {
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/admin/users/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            showMessage('error', `❌ ${data.error}`);
+        } else {
+            showMessage('success', '✅ 已更新');
+        }
+    } catch (e) {
+        showMessage('error', '網路錯誤，更新失敗');
+    }
+    fetchUsers();
+}
+
+async function reinviteUser(id, username) {
+    if (!confirm(`重新產生「${username}」的邀請連結？對方目前的密碼將失效。`)) return;
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/admin/users/${id}/invite`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            return showMessage('error', `❌ ${data.error}`);
+        }
+        showInviteLink(username, data.invitePath);
+        fetchUsers();
+    } catch (e) {
+        showMessage('error', '網路錯誤，操作失敗');
+    }
+}
+
+async function deleteUser(id, username) {
+    if (!confirm(`確定要刪除成員「${username}」嗎？已上傳的留影會保留。`)) return;
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/admin/users/${id}`, { method: 'DELETE' });
+        const data = await res.json();
+        showMessage(res.ok ? 'success' : 'error', res.ok ? `✅ ${data.message}` : `❌ ${data.error}`);
+        fetchUsers();
+    } catch (e) {
+        showMessage('error', '網路錯誤，刪除失敗');
+    }
+}
+
+// 以瀏覽器直接下載，完整備份為串流 ZIP，不先載入記憶體
+function exportLibrary(withMedia) {
+    window.location.href = `${BACKEND_URL}/api/admin/export${withMedia ? '?media=true' : ''}`;
+}
+
+// 還原備份清單中的資料 (媒體檔需已在儲存空間，或在伺服器以 npm run backup:import 還原)
+async function importLibrary(event) {
+    event.preventDefault();
+    const file = document.getElementById('importManifestFile').files[0];
+    if (!file || !confirm(`確定要從「${file.name}」還原嗎？同一筆資料會以備份內容覆寫。`)) return;
+
+    const formData = new FormData();
+    formData.append('manifest', file);
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/admin/import`, { method: 'POST', body: formData });
+        const data = await res.json();
+        showMessage(res.ok ? 'success' : 'error', res.ok ? `✅ ${data.message}` : `❌ ${data.error}`);
+    } catch (e) {
+        showMessage('error', '網路錯誤，還原失敗');
+    }
+}
+
+// 相簿數量與儲存空間的一致性檢查；repair 時修正數量並刪除孤兒物件
+async function runConsistencyCheck(repair) {
+    if (repair && !confirm('修復會修正相簿數量並永久刪除沒有照片引用的檔案，確定嗎？')) return;
+
+    const box = document.getElementById('consistencyReport');
+    box.style.display = 'block';
+    box.textContent = '檢查中，圖庫較大時可能需要一些時間...';
+    try {
+        const res = await fetch(`${BACKEND_URL}/api/admin/consistency${repair ? '/repair' : ''}`, { method: repair ? 'POST' : 'GET' });
+        const report = await res.json();
+        if (!res.ok) {
+            box.textContent = `❌ ${report.error}`;
+            return;
+        }
+
+        const lines = [
+            `沒有相簿的照片：${report.photosWithoutAlbum.length} 則`,
+            `數量不符的相簿：${report.albumCounts.length} 本`,
+            ...report.albumCounts.map(item => `  「${item.name}」${item.stored} → ${item.actual}`),
+            `孤兒物件：${report.orphanObjects.length} 個`,
+            `遺失物件的照片：${report.missingObjects.length} 則`,
+            ...report.missingObjects.map(item => `  ${item.originalFileName}: ${item.missingKeys.join(', ')}`)
+        ];
+        if (report.repair) {
+            const { photosMoved, countsFixed, orphansDeleted, errors } = report.repairs;
+            lines.push(`已移動 ${photosMoved} 則照片、修正 ${countsFixed} 本相簿、刪除 ${orphansDeleted} 個孤兒物件 (失敗 ${errors.length} 個)`);
+        }
+        box.textContent = lines.join('\n');
+    } catch (e) {
+        box.textContent = '❌ 網路錯誤，檢查失敗';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.inviteUser = inviteUser;
+    window.updateUser = updateUser;
+    window.reinviteUser = reinviteUser;
+    window.deleteUser = deleteUser;
+    window.exportLibrary = exportLibrary;
+    window.importLibrary = importLibrary;
+    window.runConsistencyCheck = runConsistencyCheck;
+    fetchUsers();
+    fetchLoginAttempts();
+});